@@ -2,22 +2,39 @@
 
 import { state, loadSettings, saveSettings } from './state.js';
 import { initDB } from './utils/storage.js';
+import { sanitizeSignData } from './utils/sign-validation.js';
+import { getSignImageUrl } from './utils/images.js';
 import {
   initQuizEngine,
   startQuiz,
+  startReplayQuiz,
+  startMissedQuiz,
   loadCurrentQuestion,
   checkAnswer,
+  checkFreeTextAnswer,
   nextQuestion,
   isQuizComplete,
   getQuizProgress,
   finishQuiz,
+  abortQuiz,
   getQuizResults,
-  getImageUrl,
-  getAllSigns
+  getAllSigns,
+  isExamMode,
+  getExamTimeRemaining,
+  getSavedQuiz,
+  resumeQuiz,
+  discardSavedQuiz
 } from './quiz/quiz-engine.js';
 import { QuestionType } from './quiz/question-types.js';
 import { initPredictionModel } from './ml/prediction.js';
 import { renderDashboard, createMiniStats } from './ui/dashboard.js';
+import { renderFlashcards } from './ui/flashcards.js';
+import { renderHistory } from './ui/history.js';
+import { renderCatalogue } from './ui/catalogue.js';
+import { buildFlashcardDeck } from './learning/flashcards.js';
+import { migrateSignProgress } from './learning/migrations.js';
+import { supportsReminders, requestReminderPermission, syncReminders } from './utils/notifications.js';
+import { initAchievements } from './learning/achievements.js';
 import {
   showStatus,
   hideStatus,
@@ -25,24 +42,38 @@ import {
   createTextOption,
   createImageOption,
   createFeedback,
-  createMissedCard,
+  createQuestionReview,
+  createComparison,
   createQuizModeSelector,
   createQuestionTypeSelector,
   createDifficultySelector,
-  showToast
+  showToast,
+  showConfirmDialog
 } from './ui/components.js';
 
 const DATA_URL = 'data/signs.json';
 
 // DOM Elements
 let statusBanner;
+let examTimer = null;
 
 async function loadSignData() {
   try {
     const response = await fetch(DATA_URL, { cache: 'no-store' });
     if (!response.ok) throw new Error('Kunde inte läsa datafilen');
 
-    const data = await response.json();
+    // Quarantine entries that would render broken questions
+    const { data, quarantined, issues } = sanitizeSignData(await response.json());
+    if (quarantined.length > 0) {
+      console.warn(`${quarantined.length} poster i datafilen sattes i karantän`, quarantined);
+    }
+    const warnings = issues.filter(i => i.severity === 'warning');
+    if (warnings.length > 0) {
+      console.info(`${warnings.length} varningar i datafilen (kör npm run validate)`);
+    }
+
+    if (Object.keys(data).length === 0) throw new Error('Datafilen innehåller inga giltiga märken');
+
     initQuizEngine(data);
     hideStatus();
     return data;
@@ -114,9 +145,60 @@ async function handleStartQuiz() {
   }
 
   showScreen('quiz');
+  if (isExamMode()) startExamTimer();
+  renderQuestion();
+}
+
+async function handlePracticeMissed() {
+  const success = await startMissedQuiz();
+  if (!success) return;
+
+  showScreen('quiz');
+  renderQuestion();
+}
+
+async function handleReplayQuiz(session) {
+  const success = await startReplayQuiz(session);
+  if (!success) {
+    showToast('Förhöret kan inte göras om', 'error');
+    return;
+  }
+
+  showScreen('quiz');
+  if (isExamMode()) startExamTimer();
   renderQuestion();
 }
 
+function startExamTimer() {
+  stopExamTimer();
+  updateExamTimer();
+  examTimer = setInterval(updateExamTimer, 1000);
+}
+
+function stopExamTimer() {
+  if (examTimer) {
+    clearInterval(examTimer);
+    examTimer = null;
+  }
+}
+
+function updateExamTimer() {
+  const remaining = getExamTimeRemaining();
+  if (remaining === null) return;
+
+  const timerEl = document.getElementById('exam-timer');
+  if (timerEl) {
+    const seconds = Math.ceil(remaining / 1000);
+    timerEl.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  if (remaining === 0) {
+    stopExamTimer();
+    showToast('Tiden är slut!', 'error');
+    completeQuiz();
+  }
+}
+
 function renderQuestion() {
   const question = loadCurrentQuestion();
   if (!question) {
@@ -125,7 +207,9 @@ function renderQuestion() {
     return;
   }
 
-  if (!question.options || question.options.length === 0) {
+  const isFreeText = question.type === QuestionType.FREE_TEXT;
+
+  if (!isFreeText && (!question.options || question.options.length === 0)) {
     console.error('No options in question', question);
     showToast('Inga svarsalternativ', 'error');
     return;
@@ -146,6 +230,15 @@ function renderQuestion() {
   if (correctCounter) correctCounter.textContent = `${progress.correct} rätt`;
   if (streakCounter) streakCounter.textContent = `${progress.streak} i rad`;
 
+  // Exams hide the running score and show the countdown instead
+  const exam = isExamMode();
+  ['correct-stat', 'streak-stat'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = exam ? 'none' : '';
+  });
+  const timerStat = document.getElementById('exam-timer-stat');
+  if (timerStat) timerStat.style.display = exam ? '' : 'none';
+
   // Clear feedback and next button
   const feedback = document.getElementById('feedback');
   const nextBtn = document.getElementById('next-btn');
@@ -158,11 +251,34 @@ function renderQuestion() {
   const questionContainer = document.getElementById('question-container');
   if (!questionContainer) return;
 
+  if (isFreeText) {
+    // Free-text question
+    questionContainer.innerHTML = `
+      <div class="sign-container">
+        <img id="sign-image" class="sign-image" src="${getSignImageUrl(question.image)}" alt="Vägmärke">
+      </div>
+      <p class="question-text">${question.prompt}</p>
+      <p class="question-category" id="question-category">${state.showCategoryInfo ? `Kategori: ${question.sign.categoryName}` : ''}</p>
+      <form class="free-text-form" id="free-text-form" autocomplete="off">
+        <input type="text" class="free-text-input" id="free-text-input" placeholder="Skriv betydelsen..." autocapitalize="off" spellcheck="false">
+        <button class="btn" type="submit">Svara</button>
+      </form>
+    `;
+
+    const form = document.getElementById('free-text-form');
+    form?.addEventListener('submit', e => {
+      e.preventDefault();
+      handleFreeTextAnswer(form);
+    });
+    document.getElementById('free-text-input')?.focus();
+    return;
+  }
+
   if (question.type === QuestionType.IMAGE_TO_TEXT) {
     // Image to text question
     questionContainer.innerHTML = `
       <div class="sign-container">
-        <img id="sign-image" class="sign-image" src="${getImageUrl(question.image)}" alt="Vägmärke">
+        <img id="sign-image" class="sign-image" src="${getSignImageUrl(question.image)}" alt="Vägmärke">
       </div>
       <p class="question-text">${question.prompt}</p>
       <p class="question-category" id="question-category">${state.showCategoryInfo ? `Kategori: ${question.sign.categoryName}` : ''}</p>
@@ -200,13 +316,12 @@ async function handleAnswer(optionBtn) {
     return;
   }
 
-  // Flash the sign container or question card
-  const signContainer = document.querySelector('.sign-container') || document.querySelector('.text-question');
-  if (signContainer) {
-    signContainer.classList.remove('flash-correct', 'flash-incorrect');
-    // Trigger reflow to restart animation
-    void signContainer.offsetWidth;
-    signContainer.classList.add(result.isCorrect ? 'flash-correct' : 'flash-incorrect');
+  // Exam answers are only revealed on the results screen
+  if (isExamMode()) {
+    optionBtn.classList.add('selected');
+    const nextBtn = document.getElementById('next-btn');
+    if (nextBtn) nextBtn.style.display = 'block';
+    return;
   }
 
   // Show correct/incorrect on options
@@ -222,21 +337,75 @@ async function handleAnswer(optionBtn) {
     });
   }
 
+  showAnswerFeedback(result);
+}
+
+async function handleFreeTextAnswer(form) {
+  const input = form.querySelector('input');
+  const answer = input?.value.trim() || '';
+  if (!answer) return;
+
+  // Lock the form while grading
+  form.querySelectorAll('input, button').forEach(el => { el.disabled = true; });
+
+  const result = await checkFreeTextAnswer(answer);
+
+  if (!result) {
+    console.error('No result from checkFreeTextAnswer');
+    return;
+  }
+
+  // Exam answers are only revealed on the results screen
+  if (isExamMode()) {
+    const nextBtn = document.getElementById('next-btn');
+    if (nextBtn) nextBtn.style.display = 'block';
+    return;
+  }
+
+  input.classList.add(result.isPartial ? 'partial' : result.isCorrect ? 'correct' : 'incorrect');
+  showAnswerFeedback(result);
+}
+
+function showAnswerFeedback(result) {
+  // Flash the sign container or question card
+  const signContainer = document.querySelector('.sign-container') || document.querySelector('.text-question');
+  if (signContainer) {
+    signContainer.classList.remove('flash-correct', 'flash-incorrect');
+    // Trigger reflow to restart animation
+    void signContainer.offsetWidth;
+    signContainer.classList.add(result.isCorrect ? 'flash-correct' : 'flash-incorrect');
+  }
+
   // Update counters
   const correctCounter = document.getElementById('correct-counter');
   const streakCounter = document.getElementById('streak-counter');
   if (correctCounter) correctCounter.textContent = `${getQuizProgress().correct} rätt`;
   if (streakCounter) streakCounter.textContent = `${result.streak} i rad`;
 
-  // Show feedback
+  // Show feedback - typed answers can be partly right
   const feedbackContainer = document.getElementById('feedback');
   if (feedbackContainer) {
-    const icon = result.isCorrect ? '✅' : '❌';
-    const text = result.isCorrect ? 'Helt rätt!' : `Rätt svar: ${result.correctAnswer.name}`;
-    feedbackContainer.className = result.isCorrect ? 'feedback correct' : 'feedback incorrect';
+    let icon = result.isCorrect ? '✅' : '❌';
+    let text = result.isCorrect ? 'Helt rätt!' : `Rätt svar: ${result.correctAnswer.name}`;
+    let className = result.isCorrect ? 'feedback correct' : 'feedback incorrect';
+
+    if (result.isPartial) {
+      icon = '🟡';
+      text = `Nästan rätt (${Math.round(result.score * 100)}%). Rätt svar: ${result.correctAnswer.name}`;
+      className = 'feedback partial';
+    }
+
+    feedbackContainer.className = className;
     feedbackContainer.innerHTML = `
       <div class="feedback-icon">${icon}</div>
       <p class="feedback-text">${text}</p>
+      ${result.explanation ? `<p class="feedback-explanation">${result.explanation}</p>` : ''}
+      ${result.leech ? `
+        <div class="leech-note">
+          <p>Envist märke – du har glömt det ${result.leech.lapses} gånger.${result.leech.signs.length > 1 ? ' Jämför med märkena du blandar ihop det med:' : ''}</p>
+          ${createComparison(result.leech.signs)}
+        </div>
+      ` : ''}
     `;
   }
 
@@ -251,11 +420,71 @@ async function handleNextQuestion() {
   if (hasMore) {
     renderQuestion();
   } else {
+    await completeQuiz();
+  }
+}
+
+// Set while a quiz is being finished or aborted, so the exam timer running out
+// meanwhile cannot save the session a second time
+let completing = false;
+
+async function completeQuiz() {
+  if (completing) return;
+  completing = true;
+  stopExamTimer();
+  try {
     await finishQuiz();
     showResults();
+  } finally {
+    completing = false;
   }
 }
 
+function handleAbortQuiz() {
+  showConfirmDialog(
+    'Avbryta förhöret?',
+    'Svaren du redan har gett sparas som ett avbrutet förhör.',
+    async () => {
+      // The exam timer keeps running behind the dialog and may have finished the quiz
+      if (completing || state.quizEndTime) return;
+      completing = true;
+      stopExamTimer();
+      try {
+        const session = await abortQuiz();
+        if (session) {
+          showToast(`Avbrutet förhör sparat (${session.correctAnswers} av ${session.totalQuestions} rätt)`);
+        }
+        backToStart();
+      } finally {
+        completing = false;
+      }
+    }
+  );
+}
+
+// Offer to continue a quiz that was interrupted by a reload or app kill
+async function offerResumeQuiz() {
+  const saved = await getSavedQuiz();
+  if (!saved) return;
+
+  const answered = saved.currentQuestion + (saved.answered ? 1 : 0);
+  showConfirmDialog(
+    'Fortsätt förhöret?',
+    `Du har ett påbörjat förhör med ${answered} av ${saved.quizSigns.length} frågor besvarade.`,
+    async () => {
+      const hasMore = await resumeQuiz(saved);
+      if (!hasMore) {
+        await completeQuiz();
+        return;
+      }
+      if (isExamMode()) startExamTimer();
+      showScreen('quiz');
+      renderQuestion();
+    },
+    () => discardSavedQuiz()
+  );
+}
+
 function showResults() {
   showScreen('results');
 
@@ -271,30 +500,68 @@ function showResults() {
   if (finalCorrect) finalCorrect.textContent = results.correctAnswers;
   if (finalIncorrect) finalIncorrect.textContent = results.incorrectAnswers;
 
-  // Render missed answers
-  const missedList = document.getElementById('missed-list');
-  const missedGrid = document.getElementById('missed-grid');
-
-  if (missedGrid && missedList) {
-    if (results.wrongAnswers.length === 0) {
-      missedList.hidden = true;
+  const examVerdict = document.getElementById('exam-verdict');
+  if (examVerdict) {
+    if (results.exam) {
+      const { passed, passThreshold, timedOut } = results.exam;
+      examVerdict.textContent = `${passed ? 'Godkänd' : 'Underkänd'} – gränsen är ${passThreshold}%${timedOut ? ' (tiden tog slut)' : ''}`;
+      examVerdict.className = `exam-verdict ${passed ? 'passed' : 'failed'}`;
+      examVerdict.hidden = false;
     } else {
-      missedGrid.innerHTML = results.wrongAnswers.slice(0, 8)
-        .map(sign => createMissedCard(sign))
-        .join('');
-      missedList.hidden = false;
+      examVerdict.hidden = true;
     }
   }
+
+  // Review of every question, missed or not
+  const review = document.getElementById('quiz-review');
+  const reviewList = document.getElementById('quiz-review-list');
+
+  if (review && reviewList) {
+    const signsById = new Map(getAllSigns().map(sign => [sign.id, sign]));
+    reviewList.innerHTML = results.answers
+      .map((question, index) => createQuestionReview(question, index, signsById))
+      .join('');
+    review.hidden = results.answers.length === 0;
+  }
+
+  const practiceMissed = document.getElementById('practice-missed-btn');
+  if (practiceMissed) practiceMissed.hidden = results.wrongAnswers.length === 0;
 }
 
 function showScreen(screenName) {
   state.currentScreen = screenName;
 
-  const screens = ['start-screen', 'quiz-screen', 'results-screen', 'dashboard-screen'];
+  const screens = ['start-screen', 'quiz-screen', 'results-screen', 'dashboard-screen', 'flashcard-screen', 'history-screen', 'catalogue-screen'];
   screens.forEach(screen => {
     const el = document.getElementById(screen);
     if (el) el.style.display = screen === `${screenName}-screen` ? 'block' : 'none';
   });
+
+  // Keep the daily goal current when coming back from a quiz
+  if (screenName === 'start') refreshMiniStats();
+}
+
+// Unlock toasts are shown one after another since there is a single toast slot
+const UNLOCK_TOAST_MS = 3000;
+let unlockToasts = Promise.resolve();
+
+function announceAchievements({ badges, levelUp }) {
+  const messages = badges.map(badge => `${badge.icon} Ny utmärkelse: ${badge.title}`);
+  if (levelUp) messages.push(`⭐ Du nådde nivå ${levelUp}!`);
+
+  messages.forEach(message => {
+    unlockToasts = unlockToasts.then(() => new Promise(resolve => {
+      showToast(message, 'success', UNLOCK_TOAST_MS);
+      setTimeout(resolve, UNLOCK_TOAST_MS + 300);
+    }));
+  });
+}
+
+async function refreshMiniStats() {
+  const miniStatsContainer = document.getElementById('mini-stats');
+  if (miniStatsContainer && Object.keys(state.signData).length > 0) {
+    miniStatsContainer.innerHTML = await createMiniStats(state.signData);
+  }
 }
 
 function backToStart() {
@@ -321,6 +588,55 @@ async function showDashboard() {
   }
 }
 
+async function showHistory() {
+  showScreen('history');
+
+  const historyContainer = document.getElementById('history-container');
+  if (historyContainer) {
+    await renderHistory(historyContainer, state.signData, {
+      onBack: () => showScreen('start'),
+      onRepeat: handleReplayQuiz
+    });
+  }
+}
+
+async function showCatalogue() {
+  showScreen('catalogue');
+
+  const catalogueContainer = document.getElementById('catalogue-container');
+  if (catalogueContainer) {
+    await renderCatalogue(catalogueContainer, getAllSigns(), state.signData, {
+      onBack: () => showScreen('start')
+    });
+  }
+}
+
+async function showFlashcards() {
+  const categories = state.selectedCategories.length > 0
+    ? state.selectedCategories
+    : Object.keys(state.signData);
+  const signs = getAllSigns().filter(sign => categories.includes(sign.category));
+  const deck = await buildFlashcardDeck(signs, state.questionsPerQuiz);
+
+  if (deck.length === 0) {
+    showToast('Inga nya eller förfallna märken just nu', 'info');
+    return;
+  }
+
+  showScreen('flashcard');
+
+  const flashcardContainer = document.getElementById('flashcard-container');
+  if (flashcardContainer) {
+    renderFlashcards(flashcardContainer, deck, {
+      onBack: () => showScreen('start'),
+      onStartQuiz: () => {
+        state.selectedCategories = categories;
+        handleStartQuiz();
+      }
+    });
+  }
+}
+
 function applySettingsToUi() {
   const questionCount = document.getElementById('question-count');
   const shuffleOptions = document.getElementById('shuffle-options');
@@ -328,6 +644,14 @@ function applySettingsToUi() {
   const quizMode = document.getElementById('quiz-mode');
   const questionType = document.getElementById('question-type');
   const difficulty = document.getElementById('difficulty');
+  const examThreshold = document.getElementById('exam-threshold');
+  const scheduler = document.getElementById('scheduler');
+  const examDate = document.getElementById('exam-date');
+  const retentionTarget = document.getElementById('retention-target');
+  const dayStartHour = document.getElementById('day-start-hour');
+  const dailyGoal = document.getElementById('daily-goal');
+  const remindersEnabled = document.getElementById('reminders-enabled');
+  const reminderHour = document.getElementById('reminder-hour');
 
   if (questionCount) questionCount.value = String(state.questionsPerQuiz);
   if (shuffleOptions) shuffleOptions.checked = state.shuffleOptions;
@@ -335,6 +659,20 @@ function applySettingsToUi() {
   if (quizMode) quizMode.value = state.quizMode;
   if (questionType) questionType.value = state.questionType;
   if (difficulty) difficulty.value = state.difficulty;
+  if (examThreshold) examThreshold.value = String(state.examPassThreshold);
+  if (scheduler) scheduler.value = state.scheduler;
+  if (examDate) {
+    examDate.value = state.examDate || '';
+    examDate.min = new Date().toLocaleDateString('sv-SE');
+  }
+  if (retentionTarget) retentionTarget.value = String(state.retentionTarget);
+  if (dayStartHour) dayStartHour.value = String(state.dayStartHour);
+  if (dailyGoal) dailyGoal.value = String(state.dailyGoal);
+  if (remindersEnabled) {
+    remindersEnabled.checked = state.remindersEnabled;
+    remindersEnabled.disabled = !supportsReminders();
+  }
+  if (reminderHour) reminderHour.value = String(state.reminderHour);
 }
 
 function openSettings() {
@@ -362,16 +700,26 @@ function bindEvents() {
 
   // Quiz screen
   document.getElementById('next-btn')?.addEventListener('click', handleNextQuestion);
-  document.getElementById('abort-btn')?.addEventListener('click', backToStart);
+  document.getElementById('abort-btn')?.addEventListener('click', handleAbortQuiz);
 
   // Results screen
+  document.getElementById('practice-missed-btn')?.addEventListener('click', handlePracticeMissed);
   document.getElementById('retry-btn')?.addEventListener('click', handleStartQuiz);
   document.getElementById('back-btn')?.addEventListener('click', backToStart);
 
+  // Flashcards
+  document.getElementById('flashcards-btn')?.addEventListener('click', showFlashcards);
+
   // Dashboard
   document.getElementById('dashboard-btn')?.addEventListener('click', showDashboard);
   document.getElementById('dashboard-btn-main')?.addEventListener('click', showDashboard);
 
+  // History
+  document.getElementById('history-btn')?.addEventListener('click', showHistory);
+
+  // Catalogue
+  document.getElementById('catalogue-btn')?.addEventListener('click', showCatalogue);
+
   // Settings
   document.getElementById('question-count')?.addEventListener('change', e => {
     state.questionsPerQuiz = Number(e.target.value);
@@ -402,11 +750,66 @@ function bindEvents() {
     state.difficulty = e.target.value;
     saveSettings();
   });
+
+  document.getElementById('exam-threshold')?.addEventListener('change', e => {
+    state.examPassThreshold = Number(e.target.value);
+    saveSettings();
+  });
+
+  document.getElementById('scheduler')?.addEventListener('change', e => {
+    state.scheduler = e.target.value;
+    saveSettings();
+  });
+
+  document.getElementById('exam-date')?.addEventListener('change', e => {
+    state.examDate = e.target.value || null;
+    saveSettings();
+  });
+
+  document.getElementById('retention-target')?.addEventListener('change', e => {
+    state.retentionTarget = Number(e.target.value);
+    saveSettings();
+  });
+
+  document.getElementById('day-start-hour')?.addEventListener('change', e => {
+    state.dayStartHour = Number(e.target.value);
+    saveSettings();
+    syncReminders().catch(() => {});
+  });
+
+  document.getElementById('daily-goal')?.addEventListener('change', e => {
+    state.dailyGoal = e.target.value === 'due' ? 'due' : Number(e.target.value);
+    saveSettings();
+    syncReminders().catch(() => {});
+  });
+
+  document.getElementById('reminders-enabled')?.addEventListener('change', async e => {
+    const wantsReminders = e.target.checked;
+    const allowed = wantsReminders ? await requestReminderPermission() : true;
+
+    if (wantsReminders && !allowed) {
+      e.target.checked = false;
+      showToast('Aviseringar är blockerade i webbläsaren', 'error');
+    }
+
+    state.remindersEnabled = wantsReminders && allowed;
+    saveSettings();
+    syncReminders().catch(() => {});
+  });
+
+  document.getElementById('reminder-hour')?.addEventListener('change', e => {
+    state.reminderHour = Number(e.target.value);
+    saveSettings();
+    syncReminders().catch(() => {});
+  });
 }
 
 function registerServiceWorker() {
   if (!('serviceWorker' in navigator)) return;
-  navigator.serviceWorker.register('service-worker.js');
+  navigator.serviceWorker.register('service-worker.js', { type: 'module' });
+  syncReminders().catch(() => {
+    // Reminders are optional
+  });
 }
 
 
@@ -422,6 +825,17 @@ async function init() {
   const signData = await loadSignData();
   state.signData = signData;
 
+  // Move progress from sign ids the last scrape replaced
+  try {
+    const remapped = await migrateSignProgress();
+    if (remapped > 0) console.info(`Flyttade framsteg för ${remapped} märken med nya id`);
+  } catch (error) {
+    console.error('Sign id migration failed:', error);
+  }
+
+  // Award badges and XP as the learner answers
+  initAchievements(signData, announceAchievements);
+
   // Render UI
   renderCategories();
   updateSelectedCount();
@@ -432,6 +846,13 @@ async function init() {
   // Setup PWA
   registerServiceWorker();
 
+  // Pick up a quiz interrupted by a reload
+  if (Object.keys(signData).length > 0) {
+    offerResumeQuiz().catch(() => {
+      // Ignore resume errors - the learner can start a new quiz
+    });
+  }
+
   // Initialize ML model in background (lazy)
   setTimeout(() => {
     initPredictionModel().catch(() => {
@@ -440,10 +861,7 @@ async function init() {
   }, 5000);
 
   // Add mini stats to header if available
-  const miniStatsContainer = document.getElementById('mini-stats');
-  if (miniStatsContainer && Object.keys(signData).length > 0) {
-    miniStatsContainer.innerHTML = await createMiniStats(signData);
-  }
+  await refreshMiniStats();
 }
 
 // Start the app
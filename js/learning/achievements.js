@@ -0,0 +1,233 @@
+// Achievements and XP - badges and levels awarded from answers and finished quizzes
+
+import { getAll, put, getMeta, setMeta, getStreak, isCompletedSession, STORES } from '../utils/storage.js';
+import { AppEvent, on } from '../utils/events.js';
+import { EXAM_QUESTION_COUNT, isExamMode } from '../quiz/quiz-engine.js';
+import { getMasteryLevel } from './sm2.js';
+
+const XP_KEY = 'xp';
+
+export const XP_REWARDS = {
+  CORRECT: 10,
+  INCORRECT: 2,
+  QUIZ: 20,
+  PERFECT_QUIZ: 30,
+  BADGE: 50
+};
+
+const BADGES = [
+  {
+    id: 'first-answer',
+    icon: '🚦',
+    title: 'Första svaret',
+    description: 'Svara på din första fråga',
+    check: ctx => ctx.answers >= 1
+  },
+  {
+    id: 'first-quiz',
+    icon: '📝',
+    title: 'Första förhöret',
+    description: 'Gör klart ett helt förhör',
+    check: ctx => ctx.sessions.some(isCompletedSession)
+  },
+  {
+    id: 'answers-100',
+    icon: '💯',
+    title: 'Hundra svar',
+    description: 'Svara på 100 frågor',
+    check: ctx => ctx.answers >= 100
+  },
+  {
+    id: 'answers-1000',
+    icon: '🏁',
+    title: 'Tusen svar',
+    description: 'Svara på 1000 frågor',
+    check: ctx => ctx.answers >= 1000
+  },
+  {
+    id: 'explorer',
+    icon: '🧭',
+    title: 'Upptäcktsresande',
+    description: 'Svara rätt på minst ett märke i varje kategori',
+    check: ctx => Object.keys(ctx.signData).every(catKey =>
+      ctx.progressList.some(p => p.category === catKey && p.correctAttempts > 0)
+    )
+  },
+  {
+    id: 'streak-7',
+    icon: '🔥',
+    title: 'En vecka i rad',
+    description: 'Öva 7 dagar i rad',
+    check: ctx => ctx.streak >= 7
+  },
+  {
+    id: 'streak-30',
+    icon: '🌟',
+    title: 'En månad i rad',
+    description: 'Öva 30 dagar i rad',
+    check: ctx => ctx.streak >= 30
+  },
+  {
+    id: 'perfect-exam',
+    icon: '🎓',
+    title: 'Felfritt prov',
+    description: `Alla ${EXAM_QUESTION_COUNT} rätt på ett provförhör`,
+    check: ctx => ctx.sessions.some(s =>
+      s.mode === 'exam' &&
+      isCompletedSession(s) &&
+      s.totalQuestions >= EXAM_QUESTION_COUNT &&
+      s.correctAnswers === s.totalQuestions
+    )
+  }
+];
+
+// One badge per category for having every sign at "Mästare"
+function categoryBadges(signData) {
+  return Object.entries(signData).map(([catKey, category]) => ({
+    id: `master-${catKey}`,
+    icon: category.icon,
+    title: `Mästare: ${category.name}`,
+    description: `Alla ${category.signs.length} märken på nivån Mästare`,
+    check: ctx => category.signs.length > 0 && category.signs.every(sign =>
+      getMasteryLevel(ctx.progressMap.get(sign.id)).level === 'master'
+    )
+  }));
+}
+
+export function getBadges(signData) {
+  return [...BADGES, ...categoryBadges(signData)];
+}
+
+// Level L starts at 100 * (1 + 2 + ... + L-1) XP
+function xpForLevel(level) {
+  return 50 * level * (level - 1);
+}
+
+export function getLevelInfo(xp) {
+  let level = 1;
+  while (xpForLevel(level + 1) <= xp) level++;
+
+  const levelStart = xpForLevel(level);
+  const levelEnd = xpForLevel(level + 1);
+  return {
+    level,
+    xp,
+    levelXp: xp - levelStart,
+    levelSize: levelEnd - levelStart,
+    progress: (xp - levelStart) / (levelEnd - levelStart)
+  };
+}
+
+async function getXpRecord() {
+  return getMeta(XP_KEY, { xp: 0, answers: 0 });
+}
+
+// Add XP and answers; returns the new level if this crossed a level boundary
+async function awardXp(xp, answers = 0) {
+  const record = await getXpRecord();
+  const before = getLevelInfo(record.xp).level;
+  const next = { xp: record.xp + xp, answers: record.answers + answers };
+  await setMeta(XP_KEY, next);
+  const after = getLevelInfo(next.xp).level;
+  return { record: next, levelUp: after > before ? after : null };
+}
+
+// Unlock every badge whose condition now holds
+async function unlockBadges(signData, answers) {
+  const [progressList, sessions, streak, unlocked] = await Promise.all([
+    getAll(STORES.SIGN_PROGRESS),
+    getAll(STORES.QUIZ_SESSIONS),
+    getStreak(),
+    getAll(STORES.ACHIEVEMENTS)
+  ]);
+
+  const unlockedIds = new Set(unlocked.map(a => a.id));
+  const ctx = {
+    signData,
+    progressList,
+    progressMap: new Map(progressList.map(p => [p.signId, p])),
+    sessions,
+    streak: streak.current,
+    answers
+  };
+
+  const earned = getBadges(signData).filter(badge => !unlockedIds.has(badge.id) && badge.check(ctx));
+  const unlockedAt = new Date().toISOString();
+  await Promise.all(earned.map(badge => put(STORES.ACHIEVEMENTS, { id: badge.id, unlockedAt })));
+
+  return earned;
+}
+
+async function evaluate(signData, xp, answers) {
+  let { record, levelUp } = await awardXp(xp, answers);
+  const badges = await unlockBadges(signData, record.answers);
+
+  if (badges.length > 0) {
+    const bonus = await awardXp(badges.length * XP_REWARDS.BADGE);
+    levelUp = bonus.levelUp || levelUp;
+  }
+
+  return { badges, levelUp };
+}
+
+function quizXp(session) {
+  if (!isCompletedSession(session)) return 0;
+  const perfect = session.totalQuestions > 0 && session.correctAnswers === session.totalQuestions;
+  return XP_REWARDS.QUIZ + (perfect ? XP_REWARDS.PERFECT_QUIZ : 0);
+}
+
+// Start listening for answers and finished quizzes.
+// `onUnlock({ badges, levelUp })` is called whenever something new is earned.
+// During an exam it waits until the quiz is finished, since an unlock after an
+// answer would give away that the answer was right.
+export function initAchievements(signData, onUnlock) {
+  // Evaluations run one at a time so XP updates never race
+  let queue = Promise.resolve();
+  // Unlocks earned during an exam, announced when it is finished
+  let held = { badges: [], levelUp: null };
+
+  const enqueue = (task, hold = false) => {
+    queue = queue
+      .then(task)
+      .then(result => {
+        held = {
+          badges: [...held.badges, ...result.badges],
+          levelUp: Math.max(held.levelUp ?? 0, result.levelUp ?? 0) || null
+        };
+        if (hold) return;
+
+        const unlocked = held;
+        held = { badges: [], levelUp: null };
+        if (unlocked.badges.length > 0 || unlocked.levelUp) onUnlock?.(unlocked);
+      })
+      .catch(error => console.error('Achievement error:', error));
+  };
+
+  on(AppEvent.ANSWER_RECORDED, ({ event }) => {
+    enqueue(
+      () => evaluate(signData, event.isCorrect ? XP_REWARDS.CORRECT : XP_REWARDS.INCORRECT, 1),
+      isExamMode()
+    );
+  });
+
+  on(AppEvent.QUIZ_FINISHED, ({ session }) => {
+    enqueue(() => evaluate(signData, quizXp(session), 0));
+  });
+}
+
+// Level and every badge with its unlock date, for the dashboard
+export async function getAchievementOverview(signData) {
+  const [record, unlocked] = await Promise.all([
+    getXpRecord(),
+    getAll(STORES.ACHIEVEMENTS)
+  ]);
+  const unlockedAt = new Map(unlocked.map(a => [a.id, a.unlockedAt]));
+
+  return {
+    levelInfo: getLevelInfo(record.xp),
+    badges: getBadges(signData).map(({ check, ...badge }) => ({
+      ...badge,
+      unlockedAt: unlockedAt.get(badge.id) || null
+    }))
+  };
+}
@@ -0,0 +1,49 @@
+// Activity history - answers per day and learning curves from the answer log
+
+import { getAll, getAnswerEventsSince, STORES } from '../utils/storage.js';
+import { studyDayKey, startOfStudyDay, shiftDayKey, addDays } from '../utils/dates.js';
+
+// Answers per study day for the last `days` days, oldest first
+export async function getActivityCalendar(days = 182) {
+  const since = startOfStudyDay(addDays(new Date(), -(days - 1)));
+  const events = await getAnswerEventsSince(since.toISOString());
+
+  const counts = new Map();
+  events.forEach(event => {
+    const key = studyDayKey(new Date(event.date));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const today = studyDayKey();
+  return Array.from({ length: days }, (_, i) => {
+    const key = shiftDayKey(today, i - (days - 1));
+    return { key, count: counts.get(key) || 0 };
+  });
+}
+
+// Daily accuracy and average response time on days with answers, oldest first.
+// Pass a category key to limit the curve to that category.
+export async function getLearningCurve(category = null) {
+  const events = await getAll(STORES.ANSWER_EVENTS);
+
+  const days = new Map();
+  events
+    .filter(event => !category || event.category === category)
+    .forEach(event => {
+      const key = studyDayKey(new Date(event.date));
+      if (!days.has(key)) days.set(key, { key, answers: 0, correct: 0, totalTime: 0 });
+      const day = days.get(key);
+      day.answers++;
+      if (event.isCorrect) day.correct++;
+      day.totalTime += event.responseTime || 0;
+    });
+
+  return Array.from(days.values())
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(day => ({
+      key: day.key,
+      answers: day.answers,
+      accuracy: day.correct / day.answers,
+      avgResponseTime: day.totalTime / day.answers
+    }));
+}
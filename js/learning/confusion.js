@@ -0,0 +1,46 @@
+// Confusion model - which signs the learner mixes up, built from wrong answers
+
+import { getAll, STORES } from '../utils/storage.js';
+
+// signId -> Map(confusedSignId -> count)
+let confusions = new Map();
+
+function addConfusion(signId, pickedId, weight = 1) {
+  if (!signId || !pickedId || signId === pickedId) return;
+  if (!confusions.has(signId)) confusions.set(signId, new Map());
+  const row = confusions.get(signId);
+  row.set(pickedId, (row.get(pickedId) || 0) + weight);
+}
+
+// Build the model from answer events: sign X answered as Y
+export function buildConfusionModel(events) {
+  confusions = new Map();
+  events.forEach(event => {
+    if (event.isCorrect) return;
+    recordConfusion(event.signId, event.selectedOptionId);
+  });
+  return confusions;
+}
+
+// Load the model from the stored answer log
+export async function loadConfusionModel() {
+  const events = await getAll(STORES.ANSWER_EVENTS);
+  return buildConfusionModel(events);
+}
+
+// Register a wrong pick; the reverse direction counts half since the pair is mixed up either way
+export function recordConfusion(signId, pickedId) {
+  addConfusion(signId, pickedId, 1);
+  addConfusion(pickedId, signId, 0.5);
+}
+
+// Get ids of signs confused with the given sign, most confused first
+export function getConfusedWith(signId, limit = 3) {
+  const row = confusions.get(signId);
+  if (!row) return [];
+
+  return Array.from(row.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id]) => id);
+}
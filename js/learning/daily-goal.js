@@ -0,0 +1,46 @@
+// Daily goal - a number of answers per study day, or clearing every due review
+
+import { state } from '../state.js';
+import { getAnswerEventsSince } from '../utils/storage.js';
+import { startOfStudyDay } from '../utils/dates.js';
+import { getDueForReview } from './scheduler.js';
+
+export const DAILY_GOAL_DUE = 'due';
+
+export function isDueGoal(goal = state.dailyGoal) {
+  return goal === DAILY_GOAL_DUE;
+}
+
+// Progress towards today's goal
+export async function getDailyGoalProgress() {
+  const [todaysEvents, due] = await Promise.all([
+    getAnswerEventsSince(startOfStudyDay().toISOString()),
+    getDueForReview(Infinity)
+  ]);
+
+  const answered = todaysEvents.length;
+  const dueCount = due.length;
+
+  if (isDueGoal()) {
+    return {
+      type: DAILY_GOAL_DUE,
+      answered,
+      dueCount,
+      done: answered,
+      target: answered + dueCount,
+      remaining: dueCount,
+      met: dueCount === 0
+    };
+  }
+
+  const target = Number(state.dailyGoal);
+  return {
+    type: 'answers',
+    answered,
+    dueCount,
+    done: Math.min(answered, target),
+    target,
+    remaining: Math.max(0, target - answered),
+    met: answered >= target
+  };
+}
@@ -0,0 +1,81 @@
+// Question directions - recognising a sign and picking its image are tracked separately.
+// Values match QuestionType in quiz/question-types.js.
+
+import { endOfStudyDay } from '../utils/dates.js';
+
+export const Direction = {
+  IMAGE_TO_TEXT: 'image-to-text',
+  TEXT_TO_IMAGE: 'text-to-image'
+};
+
+export const DIRECTIONS = [Direction.IMAGE_TO_TEXT, Direction.TEXT_TO_IMAGE];
+
+export const DIRECTION_LABELS = {
+  [Direction.IMAGE_TO_TEXT]: 'Bild → Text',
+  [Direction.TEXT_TO_IMAGE]: 'Text → Bild'
+};
+
+// Typed answers and flashcards show the image and ask for the meaning
+export function directionForQuestion(questionType) {
+  return questionType === Direction.TEXT_TO_IMAGE ? Direction.TEXT_TO_IMAGE : Direction.IMAGE_TO_TEXT;
+}
+
+// Fields each direction keeps its own copy of
+const SCHEDULE_FIELDS = ['easeFactor', 'interval', 'repetitions', 'nextReviewDate', 'lastAttemptDate', 'stability', 'difficulty', 'sm2', 'scheduler'];
+
+export function createDirectionState() {
+  return {
+    totalAttempts: 0,
+    correctAttempts: 0,
+    easeFactor: 2.5,
+    interval: 0,
+    repetitions: 0,
+    nextReviewDate: new Date().toISOString(),
+    lastAttemptDate: null
+  };
+}
+
+// Records from before directions were tracked start both directions from the
+// shared schedule; their attempt counters stay at zero since the split is unknown
+export function seedDirections(progress) {
+  if (progress.directions) return progress.directions;
+  if (!progress.lastAttemptDate) return {};
+
+  const seeded = {};
+  DIRECTIONS.forEach(direction => {
+    const dirState = createDirectionState();
+    SCHEDULE_FIELDS.forEach(field => {
+      if (progress[field] !== undefined) dirState[field] = progress[field];
+    });
+    seeded[direction] = dirState;
+  });
+  return seeded;
+}
+
+// For mixed quizzes: the direction that is due, or else the one least likely remembered
+// according to `retrievability` (the active scheduler's, see scheduler.js).
+// Due means scheduled before the study day ends, as in isDueForReview.
+// A direction never practised on a studied sign counts as the weakest.
+export function pickDirection(progress, retrievability, now = new Date()) {
+  const random = () => DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)];
+  if (!progress?.lastAttemptDate) return random();
+
+  const directions = seedDirections(progress);
+  const dayEnd = endOfStudyDay(now);
+
+  const scored = DIRECTIONS.map(direction => {
+    const dirState = directions[direction];
+    return {
+      direction,
+      due: !dirState || new Date(dirState.nextReviewDate) < dayEnd,
+      recall: dirState ? retrievability(dirState, now) : 0
+    };
+  });
+
+  const due = scored.filter(s => s.due);
+  const pool = due.length > 0 ? due : scored;
+  const weakest = Math.min(...pool.map(s => s.recall));
+  const candidates = pool.filter(s => s.recall === weakest);
+
+  return candidates[Math.floor(Math.random() * candidates.length)].direction;
+}
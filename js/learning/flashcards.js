@@ -0,0 +1,48 @@
+// Flashcard study - self-graded reviews fed straight into the scheduler
+
+import { getAll, logAnswerEvent, STORES } from '../utils/storage.js';
+import { Quality } from './sm2.js';
+import { recordReview, isDueForReview } from './scheduler.js';
+import { Direction } from './directions.js';
+import { AppEvent, emit } from '../utils/events.js';
+
+// Build a deck: signs due for review first, then signs never studied
+export async function buildFlashcardDeck(signs, limit = 20) {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  const progressMap = new Map(allProgress.map(p => [p.signId, p]));
+
+  const due = signs
+    .filter(sign => progressMap.has(sign.id) && isDueForReview(progressMap.get(sign.id)))
+    .sort((a, b) =>
+      new Date(progressMap.get(a.id).nextReviewDate) - new Date(progressMap.get(b.id).nextReviewDate)
+    );
+  const fresh = signs.filter(sign => !progressMap.has(sign.id));
+
+  return [...due, ...fresh].slice(0, limit);
+}
+
+// Apply the learner's own 0-5 rating instead of guessing it from response time
+export async function gradeFlashcard(sign, quality, responseTime, sessionId) {
+  const isCorrect = quality >= Quality.CORRECT_DIFFICULTY;
+  const progress = await recordReview(sign.id, sign.category, isCorrect, responseTime, quality, Direction.IMAGE_TO_TEXT);
+
+  const event = {
+    sessionId,
+    signId: sign.id,
+    category: sign.category,
+    mode: 'flashcards',
+    questionType: 'flashcard',
+    isHard: false,
+    selectedOptionId: null,
+    correctOptionId: sign.id,
+    optionIds: [],
+    distractorIds: [],
+    isCorrect,
+    responseTime,
+    quality
+  };
+  await logAnswerEvent(event);
+  emit(AppEvent.ANSWER_RECORDED, { event, progress });
+
+  return progress;
+}
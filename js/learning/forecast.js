@@ -0,0 +1,124 @@
+// Review workload forecast and mastery projection
+
+import { getAll, STORES } from '../utils/storage.js';
+import { Quality, getMasteryLevel } from './sm2.js';
+import { getScheduler } from './scheduler.js';
+import { isSuspended } from './leeches.js';
+import { startOfStudyDay, studyDaysBetween, addDays } from '../utils/dates.js';
+
+// Pace assumed for signs that have never been studied
+export const NEW_SIGNS_PER_DAY = 10;
+
+// Give up projecting a sign after this many simulated reviews
+const MAX_SIMULATED_REVIEWS = 60;
+
+// Number of signs falling due on each of the next `days` days (overdue ones count today)
+export async function getReviewForecast(days = 30) {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  const now = new Date();
+  const today = startOfStudyDay(now);
+
+  const forecast = Array.from({ length: days }, (_, i) => ({
+    date: addDays(today, i),
+    count: 0
+  }));
+
+  allProgress.filter(progress => !isSuspended(progress)).forEach(progress => {
+    const offset = Math.max(0, studyDaysBetween(now, new Date(progress.nextReviewDate)));
+    if (offset < days) forecast[offset].count++;
+  });
+
+  return forecast;
+}
+
+// Replay correct answers at each scheduled review until the sign reaches one of
+// the target mastery levels. Returns the date it gets there, or null.
+function projectSign(progress, targetLevels, startDate) {
+  const scheduler = getScheduler();
+  let sim = { ...progress };
+  let reviewDate = new Date(Math.max(startDate, new Date(sim.nextReviewDate)));
+
+  if (targetLevels.includes(getMasteryLevel(sim).level)) return startDate;
+
+  for (let i = 0; i < MAX_SIMULATED_REVIEWS; i++) {
+    const schedule = scheduler.review(sim, Quality.CORRECT, reviewDate);
+    sim = {
+      ...sim,
+      ...schedule,
+      totalAttempts: sim.totalAttempts + 1,
+      correctAttempts: sim.correctAttempts + 1,
+      lastAttemptDate: reviewDate.toISOString(),
+      scheduler: scheduler.id
+    };
+
+    if (targetLevels.includes(getMasteryLevel(sim).level)) return reviewDate;
+    reviewDate = addDays(reviewDate, schedule.interval);
+  }
+
+  return null;
+}
+
+function blankProgress(signId, category, startDate) {
+  return {
+    signId,
+    category,
+    totalAttempts: 0,
+    correctAttempts: 0,
+    easeFactor: 2.5,
+    interval: 0,
+    repetitions: 0,
+    nextReviewDate: startDate.toISOString(),
+    lastAttemptDate: null
+  };
+}
+
+// Earliest date every sign in the given categories reaches "Kunnig" and "Mästare",
+// assuming each scheduled review is answered correctly and new signs are
+// introduced at NEW_SIGNS_PER_DAY
+export async function getMasteryProjection(signData, categories = Object.keys(signData)) {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  const progressMap = new Map(allProgress.map(p => [p.signId, p]));
+  const now = new Date();
+
+  const targets = {
+    proficient: ['proficient', 'master'],
+    master: ['master']
+  };
+  const latest = { proficient: now, master: now };
+  const unreachable = { proficient: 0, master: 0 };
+  let totalSigns = 0;
+  let newIndex = 0;
+
+  categories.forEach(catKey => {
+    const category = signData[catKey];
+    if (!category) return;
+
+    category.signs.forEach(sign => {
+      totalSigns++;
+      let progress = progressMap.get(sign.id);
+
+      if (!progress) {
+        const introduced = new Date(Math.max(now, startOfStudyDay(addDays(now, Math.floor(newIndex / NEW_SIGNS_PER_DAY)))));
+        newIndex++;
+        progress = blankProgress(sign.id, catKey, introduced);
+      }
+
+      Object.entries(targets).forEach(([key, levels]) => {
+        const date = projectSign(progress, levels, now);
+        if (!date) {
+          unreachable[key]++;
+        } else if (date > latest[key]) {
+          latest[key] = date;
+        }
+      });
+    });
+  });
+
+  return {
+    totalSigns,
+    newSigns: newIndex,
+    proficientDate: totalSigns > 0 ? latest.proficient : null,
+    masterDate: totalSigns > 0 ? latest.master : null,
+    unreachable
+  };
+}
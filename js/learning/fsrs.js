@@ -0,0 +1,155 @@
+// FSRS spaced repetition scheduler
+// Models memory as stability (days until recall drops to 90%) and difficulty (1-10),
+// using the default FSRS-4.5 weights
+
+import { calculateSM2, sm2State } from './sm2.js';
+
+const W = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DESIRED_RETENTION = 0.9;
+const MAX_INTERVAL = 365;
+
+// FSRS ratings
+export const Rating = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4
+};
+
+// Map the 0-5 SM-2 quality scale onto the four FSRS ratings (0-2 are failures)
+export function qualityToRating(quality) {
+  if (quality < 3) return Rating.AGAIN;
+  if (quality === 3) return Rating.HARD;
+  if (quality === 4) return Rating.GOOD;
+  return Rating.EASY;
+}
+
+const clampDifficulty = d => Math.min(10, Math.max(1, d));
+
+export function daysBetween(from, to) {
+  return Math.max(0, (new Date(to) - new Date(from)) / DAY_MS);
+}
+
+// Probability of recall after elapsedDays for a memory of the given stability
+export function forgettingCurve(elapsedDays, stability) {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+}
+
+// Days until recall probability falls to the retention target
+export function intervalForStability(stability, retention = DESIRED_RETENTION) {
+  const days = stability / FACTOR * (Math.pow(retention, 1 / DECAY) - 1);
+  return Math.min(MAX_INTERVAL, Math.max(1, Math.round(days)));
+}
+
+function initialStability(rating) {
+  return W[rating - 1];
+}
+
+function initialDifficulty(rating) {
+  return clampDifficulty(W[4] - (rating - 3) * W[5]);
+}
+
+function nextDifficulty(difficulty, rating) {
+  const next = difficulty - W[6] * (rating - 3);
+  // Mean reversion towards the difficulty of a first "good" answer
+  return clampDifficulty(W[7] * initialDifficulty(Rating.GOOD) + (1 - W[7]) * next);
+}
+
+function recallStability(difficulty, stability, retrievability, rating) {
+  const hardPenalty = rating === Rating.HARD ? W[15] : 1;
+  const easyBonus = rating === Rating.EASY ? W[16] : 1;
+  return stability * (
+    Math.exp(W[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -W[9]) *
+    (Math.exp(W[10] * (1 - retrievability)) - 1) *
+    hardPenalty *
+    easyBonus + 1
+  );
+}
+
+function forgetStability(difficulty, stability, retrievability) {
+  const next = W[11] *
+    Math.pow(difficulty, -W[12]) *
+    (Math.pow(stability + 1, W[13]) - 1) *
+    Math.exp(W[14] * (1 - retrievability));
+  return Math.min(stability, next);
+}
+
+// SM-2 ease 2.5 corresponds to the difficulty of a first "good" answer, 1.3 to the hardest
+const EASE_RANGE = 2.5 - 1.3;
+
+function easeToDifficulty(easeFactor) {
+  const base = initialDifficulty(Rating.GOOD);
+  return clampDifficulty(base + (2.5 - easeFactor) / EASE_RANGE * (10 - base));
+}
+
+// Derive FSRS memory state from an SM-2 record. This is an approximation: SM-2
+// has no memory model, so the interval stands in for stability (it was chosen
+// to be reviewed at roughly 90% recall) and the ease factor is mapped linearly
+// onto difficulty. FSRS corrects both over the next few reviews.
+export function stateFromSM2(progress) {
+  return {
+    stability: Math.max(W[0], progress.interval || 0),
+    difficulty: easeToDifficulty(progress.easeFactor ?? 2.5)
+  };
+}
+
+function hasMemoryState(progress) {
+  return progress.scheduler === 'fsrs' && progress.stability > 0 && progress.difficulty > 0;
+}
+
+export const fsrsScheduler = {
+  id: 'fsrs',
+  label: 'FSRS',
+
+  review(progress, quality, now = new Date()) {
+    const rating = qualityToRating(quality);
+    let stability;
+    let difficulty;
+
+    if (!progress.lastAttemptDate) {
+      stability = initialStability(rating);
+      difficulty = initialDifficulty(rating);
+    } else {
+      const memory = hasMemoryState(progress) ? progress : stateFromSM2(progress);
+      const elapsed = daysBetween(progress.lastAttemptDate, now);
+      const retrievability = forgettingCurve(elapsed, memory.stability);
+
+      difficulty = nextDifficulty(memory.difficulty, rating);
+      stability = rating === Rating.AGAIN
+        ? forgetStability(memory.difficulty, memory.stability, retrievability)
+        : recallStability(memory.difficulty, memory.stability, retrievability, rating);
+    }
+
+    const interval = intervalForStability(stability);
+
+    // Run SM-2 alongside and keep its own state under `sm2`, since `interval`
+    // now holds the FSRS one, so switching back to SM-2 loses nothing
+    const sm2 = sm2State(progress);
+    const sm2Schedule = calculateSM2(quality, sm2.easeFactor, sm2.interval, sm2.repetitions);
+
+    return {
+      stability,
+      difficulty,
+      interval,
+      easeFactor: sm2Schedule.easeFactor,
+      repetitions: sm2Schedule.repetitions,
+      sm2: sm2Schedule
+    };
+  },
+
+  retrievability(progress, now = new Date()) {
+    if (!progress?.lastAttemptDate) return 0;
+    const { stability } = hasMemoryState(progress) ? progress : stateFromSM2(progress);
+    return forgettingCurve(daysBetween(progress.lastAttemptDate, now), stability);
+  }
+};
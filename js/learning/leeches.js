@@ -0,0 +1,85 @@
+// Leech detection - signs the learner keeps forgetting after having learned them
+
+import { getAll, get, put, STORES } from '../utils/storage.js';
+import { getConfusedWith } from './confusion.js';
+
+// Lapses (falling back to repetitions = 0 after a correct streak) before a sign is flagged
+export const LEECH_LAPSES = 4;
+
+// Correct reviews in a row that clear the flag again
+const RECOVERY_REPETITIONS = 3;
+
+// Update lapse count and leech flag after a review.
+// `previousRepetitions` is the repetition count before the answer was scheduled.
+export function trackLapse(progress, previousRepetitions) {
+  if (previousRepetitions > 0 && progress.repetitions === 0) {
+    progress.lapses = (progress.lapses || 0) + 1;
+    if (progress.lapses >= LEECH_LAPSES && !progress.leech) {
+      progress.leech = true;
+      progress.leechSince = new Date().toISOString();
+    }
+  } else if (progress.leech && progress.repetitions >= RECOVERY_REPETITIONS) {
+    progress.leech = false;
+    progress.lapses = 0;
+  }
+
+  return progress;
+}
+
+export function isLeech(progress) {
+  return Boolean(progress?.leech);
+}
+
+// Suspended signs are left out of normal quizzes, reviews and flashcards
+export function isSuspended(progress) {
+  return Boolean(progress?.suspended);
+}
+
+export async function setSuspended(signId, suspended) {
+  const progress = await get(STORES.SIGN_PROGRESS, signId);
+  if (!progress) return null;
+  progress.suspended = suspended;
+  await put(STORES.SIGN_PROGRESS, progress);
+  return progress;
+}
+
+export async function getSuspendedSignIds() {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  return new Set(allProgress.filter(isSuspended).map(p => p.signId));
+}
+
+// The sign followed by the signs it is confused with, for side-by-side study.
+// Needs the confusion model to be loaded (see confusion.js).
+export function getComparisonSigns(sign, allSigns, limit = 3) {
+  const byId = new Map(allSigns.map(s => [s.id, s]));
+  const confused = getConfusedWith(sign.id, limit)
+    .map(id => byId.get(id))
+    .filter(Boolean);
+  return [sign, ...confused];
+}
+
+// Every flagged sign with its details, most lapses first
+export async function getLeeches(signData) {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  const leechMap = new Map(allProgress.filter(isLeech).map(p => [p.signId, p]));
+
+  const leeches = [];
+
+  Object.entries(signData).forEach(([catKey, category]) => {
+    category.signs.forEach(sign => {
+      const progress = leechMap.get(sign.id);
+      if (progress) {
+        leeches.push({
+          ...sign,
+          category: catKey,
+          categoryName: category.name,
+          lapses: progress.lapses,
+          suspended: isSuspended(progress),
+          accuracy: progress.correctAttempts / progress.totalAttempts
+        });
+      }
+    });
+  });
+
+  return leeches.sort((a, b) => b.lapses - a.lapses);
+}
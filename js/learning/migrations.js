@@ -0,0 +1,46 @@
+// Sign id migrations - keep stored progress attached when a scrape re-keys signs
+
+import { get, put, deleteRecord, getMeta, setMeta, STORES } from '../utils/storage.js';
+
+const CHANGELOG_URL = 'data/signs-changelog.json';
+const APPLIED_KEY = 'signChangelogApplied';
+
+// Move one progress record to a new sign id. If both ids already have progress,
+// the record with more attempts wins.
+async function remapProgress(fromId, toId, category) {
+  const source = await get(STORES.SIGN_PROGRESS, fromId);
+  if (!source) return false;
+
+  const target = await get(STORES.SIGN_PROGRESS, toId);
+  if (!target || source.totalAttempts > target.totalAttempts) {
+    await put(STORES.SIGN_PROGRESS, { ...source, signId: toId, category: category || source.category });
+  }
+  await deleteRecord(STORES.SIGN_PROGRESS, fromId);
+  return true;
+}
+
+// Replay the id remaps of every changelog entry newer than the last one applied
+export async function applySignChangelog(changelog) {
+  const lastApplied = await getMeta(APPLIED_KEY, '');
+  const pending = (changelog?.entries || [])
+    .filter(entry => entry.id > lastApplied)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  let remapped = 0;
+
+  for (const entry of pending) {
+    for (const { from, to, category } of entry.renamed || []) {
+      if (await remapProgress(from, to, category)) remapped++;
+    }
+    await setMeta(APPLIED_KEY, entry.id);
+  }
+
+  return remapped;
+}
+
+// Fetch the changelog written by the scraper and apply it to stored progress
+export async function migrateSignProgress() {
+  const response = await fetch(CHANGELOG_URL, { cache: 'no-store' });
+  if (!response.ok) return 0;
+  return applySignChangelog(await response.json());
+}
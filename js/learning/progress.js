@@ -1,7 +1,10 @@
 // User progress tracking and recommendations
 
-import { getAll, getDueForReview, getWeakestSigns, STORES } from '../utils/storage.js';
+import { getAll, getWeakestSigns, getStreak, isCompletedSession, STORES } from '../utils/storage.js';
+import { getDueForReview } from './scheduler.js';
 import { getRetentionScore, getMasteryLevel, getStudyRecommendation } from './sm2.js';
+import { getStudyPlan } from './study-plan.js';
+import { DIRECTIONS, DIRECTION_LABELS } from './directions.js';
 
 // Get overall learning statistics
 export async function getLearningStats(signData) {
@@ -119,55 +122,42 @@ export async function getWeakSignsWithDetails(signData, limit = 10) {
   return signs.sort((a, b) => a.accuracy - b.accuracy);
 }
 
-// Get study recommendation based on current progress
-export async function getRecommendation(signData) {
+// Accuracy split by question direction
+export async function getDirectionStats() {
   const allProgress = await getAll(STORES.SIGN_PROGRESS);
 
-  // Flatten all signs
-  const allSigns = [];
-  Object.entries(signData).forEach(([catKey, category]) => {
-    category.signs.forEach(sign => {
-      allSigns.push({ ...sign, category: catKey });
+  return DIRECTIONS.map(direction => {
+    let totalAttempts = 0;
+    let correctAttempts = 0;
+    let studied = 0;
+
+    allProgress.forEach(progress => {
+      const dirState = progress.directions?.[direction];
+      if (!dirState || dirState.totalAttempts === 0) return;
+      studied++;
+      totalAttempts += dirState.totalAttempts;
+      correctAttempts += dirState.correctAttempts;
     });
+
+    return {
+      direction,
+      label: DIRECTION_LABELS[direction],
+      studied,
+      totalAttempts,
+      accuracy: totalAttempts > 0 ? correctAttempts / totalAttempts : 0
+    };
   });
+}
 
-  return getStudyRecommendation(allProgress, allSigns);
+// Get study recommendation based on current progress
+export async function getRecommendation(signData) {
+  return getStudyRecommendation(await getStudyPlan(signData));
 }
 
 // Get learning streak (consecutive days with practice)
 export async function getLearningStreak() {
-  const sessions = await getAll(STORES.QUIZ_SESSIONS);
-  if (sessions.length === 0) return 0;
-
-  // Get unique dates
-  const dates = [...new Set(
-    sessions.map(s => new Date(s.date).toDateString())
-  )].sort((a, b) => new Date(b) - new Date(a));
-
-  const today = new Date().toDateString();
-  const yesterday = new Date(Date.now() - 86400000).toDateString();
-
-  // Check if practiced today or yesterday
-  if (dates[0] !== today && dates[0] !== yesterday) {
-    return 0;
-  }
-
-  let streak = 0;
-  const startDate = dates[0] === today ? new Date() : new Date(Date.now() - 86400000);
-
-  for (let i = 0; i < dates.length; i++) {
-    const expectedDate = new Date(startDate);
-    expectedDate.setDate(expectedDate.getDate() - i);
-    const expected = expectedDate.toDateString();
-
-    if (dates[i] === expected) {
-      streak++;
-    } else {
-      break;
-    }
-  }
-
-  return streak;
+  const { current } = await getStreak();
+  return current;
 }
 
 // Get progress for a specific sign
@@ -194,6 +184,15 @@ export async function getSignProgress(signId) {
   };
 }
 
+// Get the most recent exam simulations, oldest first for charting
+export async function getExamHistory(limit = 10) {
+  const sessions = await getAll(STORES.QUIZ_SESSIONS);
+  return sessions
+    .filter(s => s.mode === 'exam' && isCompletedSession(s))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .slice(-limit);
+}
+
 // Get category progress summary
 export async function getCategoryProgress(signData) {
   const stats = await getLearningStats(signData);
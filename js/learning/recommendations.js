@@ -1,14 +1,16 @@
 // Smart recommendations based on learning data
 
-import { getAll, getDueForReview, STORES } from '../utils/storage.js';
+import { getAll, getStreak, isCompletedSession, STORES } from '../utils/storage.js';
 import { getRetentionScore, getMasteryLevel } from './sm2.js';
+import { getStudyPlan } from './study-plan.js';
+import { isDueForReview } from './scheduler.js';
 
 // Get personalized recommendations
 export async function getPersonalizedRecommendations(signData) {
-  const [allProgress, dueForReview, sessions] = await Promise.all([
+  const [allProgress, plan, streak] = await Promise.all([
     getAll(STORES.SIGN_PROGRESS),
-    getDueForReview(20),
-    getAll(STORES.QUIZ_SESSIONS)
+    getStudyPlan(signData),
+    getStreak()
   ]);
 
   const progressMap = new Map(allProgress.map(p => [p.signId, p]));
@@ -25,13 +27,15 @@ export async function getPersonalizedRecommendations(signData) {
     });
   });
 
-  // Recommendation: Review due signs
-  if (dueForReview.length > 0) {
+  // Recommendation: Today's reviews from the study plan
+  if (plan.reviewsRemaining > 0) {
     recommendations.push({
       type: 'review',
       priority: 'high',
       title: 'Dags att repetera',
-      description: `Du har ${dueForReview.length} märken som är redo för repetition`,
+      description: plan.atRisk > 0
+        ? `${plan.reviewsRemaining} märken att repetera idag, varav några som annars glöms före provet`
+        : `Du har ${plan.reviewsRemaining} märken som är redo för repetition`,
       action: 'spaced',
       icon: '🔄'
     });
@@ -70,26 +74,23 @@ export async function getPersonalizedRecommendations(signData) {
     });
   }
 
-  // Recommendation: Learn new signs
-  const newSignsCount = totalSigns - studiedSigns;
-  if (newSignsCount > 0 && dueForReview.length < 10) {
+  // Recommendation: Today's new signs from the study plan
+  if (plan.newRemaining > 0) {
+    const newSignsCount = totalSigns - studiedSigns;
     recommendations.push({
       type: 'new_signs',
-      priority: newSignsCount > 50 ? 'medium' : 'low',
+      priority: plan.hasExamDate ? (plan.intensive ? 'high' : 'medium') : 'low',
       title: 'Lär dig nya märken',
-      description: `${newSignsCount} märken väntar på att upptäckas`,
+      description: plan.hasExamDate
+        ? `${plan.newRemaining} nya märken idag för att hinna alla ${plan.totalSigns} till provet`
+        : `${plan.newRemaining} nya märken idag, ${newSignsCount} väntar totalt`,
       action: 'standard',
       icon: '📚'
     });
   }
 
   // Recommendation: Maintain streak
-  const today = new Date().toDateString();
-  const practicedToday = sessions.some(s =>
-    new Date(s.date).toDateString() === today
-  );
-
-  if (!practicedToday) {
+  if (!streak.practisedToday) {
     recommendations.push({
       type: 'streak',
       priority: 'low',
@@ -142,7 +143,7 @@ export async function getNextBestSigns(signData, count = 10) {
           : 100;
 
         // Higher score = more urgent to study
-        if (new Date(progress.nextReviewDate) <= new Date()) {
+        if (isDueForReview(progress)) {
           score = 100 - retention + daysSinceReview * 2;
         } else {
           score = 10 - retention * 0.1;
@@ -173,9 +174,10 @@ export async function getNextBestSigns(signData, count = 10) {
 
 // Get summary stats for dashboard
 export async function getDashboardSummary(signData) {
-  const [allProgress, sessions] = await Promise.all([
+  const [allProgress, sessions, streak] = await Promise.all([
     getAll(STORES.SIGN_PROGRESS),
-    getAll(STORES.QUIZ_SESSIONS)
+    getAll(STORES.QUIZ_SESSIONS),
+    getStreak()
   ]);
 
   let totalSigns = 0;
@@ -202,31 +204,9 @@ export async function getDashboardSummary(signData) {
     });
   });
 
-  // Calculate streak
-  const today = new Date().toDateString();
-  const sessionDates = [...new Set(
-    sessions.map(s => new Date(s.date).toDateString())
-  )].sort((a, b) => new Date(b) - new Date(a));
-
-  let streak = 0;
-  if (sessionDates.length > 0) {
-    const yesterday = new Date(Date.now() - 86400000).toDateString();
-    if (sessionDates[0] === today || sessionDates[0] === yesterday) {
-      const startDate = sessionDates[0] === today ? new Date() : new Date(Date.now() - 86400000);
-      for (let i = 0; i < sessionDates.length; i++) {
-        const expected = new Date(startDate);
-        expected.setDate(expected.getDate() - i);
-        if (sessionDates[i] === expected.toDateString()) {
-          streak++;
-        } else {
-          break;
-        }
-      }
-    }
-  }
-
-  // Best session
-  const bestSession = sessions.reduce((best, s) =>
+  // Best session - partial scores from aborted quizzes are not comparable
+  const completedSessions = sessions.filter(isCompletedSession);
+  const bestSession = completedSessions.reduce((best, s) =>
     !best || s.percentage > best.percentage ? s : best
     , null);
 
@@ -235,8 +215,10 @@ export async function getDashboardSummary(signData) {
     studiedSigns,
     masteredSigns,
     accuracy: totalAttempts > 0 ? Math.round((correctAttempts / totalAttempts) * 100) : 0,
-    streak,
-    totalQuizzes: sessions.length,
+    streak: streak.current,
+    freezesAvailable: streak.freezesAvailable,
+    totalQuizzes: completedSessions.length,
+    abortedQuizzes: sessions.length - completedSessions.length,
     bestScore: bestSession?.percentage || 0
   };
 }
@@ -0,0 +1,137 @@
+// Review scheduling - the quiz engine and review queues go through this module
+// instead of a specific algorithm.
+//
+// A scheduler is { id, label, review(progress, quality, now), retrievability(progress, now) }.
+// review() returns the fields to merge into the progress record and must include
+// `interval` in days; the next review date is derived from it here so every
+// scheduler keeps the `nextReviewDate` index usable.
+
+import { state } from '../state.js';
+import { put, get, getProgressDueBy, STORES } from '../utils/storage.js';
+import { responseToQuality, getNextReviewDate, sm2Scheduler } from './sm2.js';
+import { fsrsScheduler } from './fsrs.js';
+import { seedDirections, createDirectionState } from './directions.js';
+import { trackLapse, isSuspended } from './leeches.js';
+import { endOfStudyDay } from '../utils/dates.js';
+
+export const SCHEDULERS = {
+  [sm2Scheduler.id]: sm2Scheduler,
+  [fsrsScheduler.id]: fsrsScheduler
+};
+
+export function getScheduler(id = state.scheduler) {
+  return SCHEDULERS[id] || sm2Scheduler;
+}
+
+function createProgress(signId, category) {
+  return {
+    signId,
+    category,
+    totalAttempts: 0,
+    correctAttempts: 0,
+    easeFactor: 2.5,
+    interval: 0,
+    repetitions: 0,
+    nextReviewDate: new Date().toISOString(),
+    lastAttemptDate: null,
+    averageResponseTime: 3000
+  };
+}
+
+// Schedule one direction of a sign. Returns the updated direction state.
+function reviewDirection(dirState, scheduler, quality, isCorrect, now) {
+  const schedule = scheduler.review(dirState, quality, now);
+  return {
+    ...dirState,
+    ...schedule,
+    totalAttempts: dirState.totalAttempts + 1,
+    correctAttempts: dirState.correctAttempts + (isCorrect ? 1 : 0),
+    lastAttemptDate: now.toISOString(),
+    scheduler: scheduler.id,
+    nextReviewDate: getNextReviewDate(schedule.interval)
+  };
+}
+
+// Update sign progress with the active scheduler.
+// Pass a quality to override the one guessed from correctness and response time,
+// and the question direction (see directions.js) to schedule it separately.
+export async function recordReview(signId, category, isCorrect, responseTimeMs, qualityOverride = null, direction = null) {
+  const progress = (await get(STORES.SIGN_PROGRESS, signId)) || createProgress(signId, category);
+  const scheduler = getScheduler();
+  const now = new Date();
+
+  // Calculate quality based on response
+  const quality = qualityOverride ?? responseToQuality(isCorrect, responseTimeMs, progress.averageResponseTime);
+
+  // The scheduler sees the record as it was before this answer
+  const schedule = scheduler.review(progress, quality, now);
+  const directions = seedDirections(progress);
+  const previousRepetitions = progress.repetitions;
+
+  progress.totalAttempts++;
+  progress.lastAttemptDate = now.toISOString();
+
+  // Update average response time
+  const prevTotal = progress.averageResponseTime * (progress.totalAttempts - 1);
+  progress.averageResponseTime = (prevTotal + responseTimeMs) / progress.totalAttempts;
+
+  if (isCorrect) {
+    progress.correctAttempts++;
+  }
+
+  Object.assign(progress, schedule);
+  progress.scheduler = scheduler.id;
+  progress.nextReviewDate = getNextReviewDate(schedule.interval);
+  progress.lastQuality = quality;
+  trackLapse(progress, previousRepetitions);
+
+  if (direction) {
+    directions[direction] = reviewDirection(
+      directions[direction] || createDirectionState(),
+      scheduler,
+      quality,
+      isCorrect,
+      now
+    );
+
+    // The sign is due as soon as either direction is
+    Object.values(directions).forEach(dirState => {
+      if (dirState.nextReviewDate < progress.nextReviewDate) {
+        progress.nextReviewDate = dirState.nextReviewDate;
+      }
+    });
+  }
+  progress.directions = directions;
+
+  await put(STORES.SIGN_PROGRESS, progress);
+
+  return progress;
+}
+
+// Estimated probability (0-1) that the learner still remembers the sign
+export function getRetrievability(progress, now = new Date()) {
+  return getScheduler().retrievability(progress, now);
+}
+
+// Check if a sign is due for review - anything scheduled before the current
+// study day ends (see utils/dates.js). Suspended signs never are.
+export function isDueForReview(progress, now = new Date()) {
+  if (!progress) return true;
+  if (isSuspended(progress)) return false;
+  return new Date(progress.nextReviewDate) < endOfStudyDay(now);
+}
+
+// Signs due for review, the ones most likely forgotten first
+export async function getDueForReview(limit = 20) {
+  const now = new Date();
+  const dayEnd = new Date(endOfStudyDay(now).getTime() - 1);
+  const due = await getProgressDueBy(dayEnd.toISOString());
+  const scheduler = getScheduler();
+
+  return due
+    .filter(progress => !isSuspended(progress))
+    .map(progress => ({ progress, recall: scheduler.retrievability(progress, now) }))
+    .sort((a, b) => a.recall - b.recall)
+    .slice(0, limit)
+    .map(entry => entry.progress);
+}
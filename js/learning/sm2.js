@@ -1,7 +1,8 @@
 // SM-2 Spaced Repetition Algorithm
 // Based on the SuperMemo 2 algorithm by Piotr Wozniak
 
-import { put, get, STORES } from '../utils/storage.js';
+import { forgettingCurve, daysBetween } from './fsrs.js';
+import { endOfStudyDay } from '../utils/dates.js';
 
 // Quality ratings for SM-2
 export const Quality = {
@@ -26,6 +27,14 @@ export function responseToQuality(isCorrect, responseTimeMs, averageTimeMs) {
   return Quality.CORRECT_DIFFICULTY;
 }
 
+// Convert a partial free-text match (0-1) to a quality rating
+export function matchScoreToQuality(score) {
+  if (score >= 0.75) return Quality.CORRECT_DIFFICULTY;
+  if (score >= 0.5) return Quality.INCORRECT_EASY_RECALL;
+  if (score >= 0.25) return Quality.INCORRECT;
+  return Quality.COMPLETE_BLACKOUT;
+}
+
 // Core SM-2 algorithm
 export function calculateSM2(quality, easeFactor, interval, repetitions) {
   let newEF = easeFactor;
@@ -69,58 +78,28 @@ export function getNextReviewDate(intervalDays) {
   return date.toISOString();
 }
 
-// Update sign progress with SM-2
-export async function updateWithSM2(signId, category, isCorrect, responseTimeMs) {
-  let progress = await get(STORES.SIGN_PROGRESS, signId);
-
-  if (!progress) {
-    progress = {
-      signId,
-      category,
-      totalAttempts: 0,
-      correctAttempts: 0,
-      easeFactor: 2.5,
-      interval: 0,
-      repetitions: 0,
-      nextReviewDate: new Date().toISOString(),
-      lastAttemptDate: null,
-      averageResponseTime: 3000
-    };
-  }
-
-  // Calculate quality based on response
-  const quality = responseToQuality(isCorrect, responseTimeMs, progress.averageResponseTime);
-
-  // Apply SM-2 algorithm
-  const sm2Result = calculateSM2(
-    quality,
-    progress.easeFactor,
-    progress.interval,
-    progress.repetitions
-  );
+// The SM-2 fields of a record. FSRS overwrites `interval` with its own and
+// keeps the SM-2 schedule under `sm2` (see fsrs.js).
+export function sm2State(progress) {
+  return progress.scheduler === 'fsrs' && progress.sm2 ? progress.sm2 : progress;
+}
 
-  // Update progress
-  progress.totalAttempts++;
-  progress.lastAttemptDate = new Date().toISOString();
+// SM-2 as a scheduler - see scheduler.js for the interface
+export const sm2Scheduler = {
+  id: 'sm2',
+  label: 'SM-2',
 
-  // Update average response time
-  const prevTotal = progress.averageResponseTime * (progress.totalAttempts - 1);
-  progress.averageResponseTime = (prevTotal + responseTimeMs) / progress.totalAttempts;
+  review(progress, quality) {
+    const { easeFactor, interval, repetitions } = sm2State(progress);
+    return calculateSM2(quality, easeFactor, interval, repetitions);
+  },
 
-  if (isCorrect) {
-    progress.correctAttempts++;
+  // SM-2 has no memory model; treat the interval as the point where recall drops to 90%
+  retrievability(progress, now = new Date()) {
+    if (!progress?.lastAttemptDate) return 0;
+    return forgettingCurve(daysBetween(progress.lastAttemptDate, now), Math.max(1, sm2State(progress).interval));
   }
-
-  progress.easeFactor = sm2Result.easeFactor;
-  progress.interval = sm2Result.interval;
-  progress.repetitions = sm2Result.repetitions;
-  progress.nextReviewDate = getNextReviewDate(sm2Result.interval);
-  progress.lastQuality = quality;
-
-  await put(STORES.SIGN_PROGRESS, progress);
-
-  return progress;
-}
+};
 
 // Get retention score (0-100) for a sign
 export function getRetentionScore(progress) {
@@ -147,46 +126,35 @@ export function getMasteryLevel(progress) {
   return { level: 'new', label: 'Ny', color: '#808080' };
 }
 
-// Check if a sign is due for review
-export function isDueForReview(progress) {
-  if (!progress) return true;
-  return new Date(progress.nextReviewDate) <= new Date();
-}
-
-// Get signs that are overdue
+// Get signs that are overdue by the end of the current study day
 export function getOverdueCount(progressList) {
-  const now = new Date();
-  return progressList.filter(p => new Date(p.nextReviewDate) <= now).length;
+  const dayEnd = endOfStudyDay();
+  return progressList.filter(p => new Date(p.nextReviewDate) < dayEnd).length;
 }
 
-// Calculate study recommendation
-export function getStudyRecommendation(progressList, allSigns) {
-  const now = new Date();
-  const overdue = progressList.filter(p => new Date(p.nextReviewDate) <= now);
-  const studied = new Set(progressList.map(p => p.signId));
-  const newSigns = allSigns.filter(s => !studied.has(s.id));
-
-  if (overdue.length >= 10) {
+// Calculate study recommendation from today's study plan (see study-plan.js)
+export function getStudyRecommendation(plan) {
+  if (plan.reviewsRemaining > 0) {
     return {
       mode: 'spaced',
-      reason: `Du har ${overdue.length} märken att repetera`,
-      priority: 'high'
+      reason: `Du har ${plan.reviewsRemaining} märken att repetera idag`,
+      priority: plan.hasExamDate || plan.newRemaining === 0 ? 'high' : 'medium'
     };
   }
 
-  if (newSigns.length > 0 && overdue.length < 5) {
+  if (plan.newRemaining > 0) {
     return {
       mode: 'standard',
-      reason: `Lär dig ${Math.min(10, newSigns.length)} nya märken`,
-      priority: 'medium'
+      reason: `Lär dig ${plan.newRemaining} nya märken idag`,
+      priority: plan.intensive ? 'high' : 'medium'
     };
   }
 
-  if (overdue.length > 0) {
+  if (plan.hasExamDate) {
     return {
-      mode: 'spaced',
-      reason: `Repetera ${overdue.length} märken`,
-      priority: 'medium'
+      mode: 'standard',
+      reason: `Dagens plan är klar – ${plan.daysLeft} dagar kvar till provet`,
+      priority: 'low'
     };
   }
 
@@ -0,0 +1,142 @@
+// Study plan - daily new-sign and review quotas towards the theory test date.
+// The plan is recomputed from current progress every time, so missed days are
+// spread over the days that remain instead of piling up.
+
+import { state } from '../state.js';
+import { getAll, getAnswerEventsSince, STORES } from '../utils/storage.js';
+import { getScheduler, isDueForReview } from './scheduler.js';
+import { NEW_SIGNS_PER_DAY } from './forecast.js';
+import { isSuspended } from './leeches.js';
+import { studyDayKey, startOfStudyDay, startOfDayKey, daysBetweenKeys } from '../utils/dates.js';
+
+// Share of the remaining days kept free of new signs so the last ones can settle
+const CONSOLIDATION_SHARE = 0.2;
+const MAX_CONSOLIDATION_DAYS = 7;
+
+// More new signs per day than this is flagged as an intensive plan
+const INTENSIVE_NEW_PER_DAY = 30;
+
+// A sign that will not come up again before the test but would be below the
+// retention target on the day
+function isAtRisk(progress, examStart, retentionTarget, scheduler) {
+  return !isSuspended(progress) &&
+    new Date(progress.nextReviewDate) > examStart &&
+    scheduler.retrievability(progress, examStart) < retentionTarget;
+}
+
+// Split today's answers into signs seen for the first time and reviews
+function countTodaysWork(todaysEvents, progressMap) {
+  const attemptsToday = new Map();
+  todaysEvents.forEach(event => {
+    attemptsToday.set(event.signId, (attemptsToday.get(event.signId) || 0) + 1);
+  });
+
+  let newDone = 0;
+  let reviewsDone = 0;
+  attemptsToday.forEach((count, signId) => {
+    const progress = progressMap.get(signId);
+    if (progress && progress.totalAttempts <= count) {
+      newDone++;
+    } else {
+      reviewsDone++;
+    }
+  });
+
+  return { newDone, reviewsDone };
+}
+
+// Build today's plan from progress records, the full sign list and today's answer events
+export function computeStudyPlan({
+  progressList,
+  allSigns,
+  todaysEvents = [],
+  examDate = null, // YYYY-MM-DD
+  retentionTarget = state.retentionTarget,
+  now = new Date()
+}) {
+  const scheduler = getScheduler();
+  const progressMap = new Map(progressList.map(p => [p.signId, p]));
+  const daysLeft = examDate ? daysBetweenKeys(studyDayKey(now), examDate) : 0;
+  const hasExamDate = daysLeft > 0;
+  const examStart = hasExamDate ? startOfDayKey(examDate) : null;
+
+  const unseen = allSigns.filter(sign => !progressMap.has(sign.id)).length;
+  const reviewsDue = progressList.filter(p => isDueForReview(p, now)).length;
+  const { newDone, reviewsDone } = countTodaysWork(todaysEvents, progressMap);
+
+  let newPerDay = NEW_SIGNS_PER_DAY;
+  let atRisk = 0;
+  let extraReviews = 0;
+
+  if (hasExamDate) {
+    const consolidationDays = Math.min(MAX_CONSOLIDATION_DAYS, Math.floor(daysLeft * CONSOLIDATION_SHARE));
+    const introductionDays = Math.max(1, daysLeft - consolidationDays);
+    newPerDay = Math.ceil((unseen + newDone) / introductionDays);
+
+    // At-risk signs get extra reviews, spread over the days left. The spaced
+    // mode serves them once nothing is due (see getAtRiskSigns)
+    atRisk = progressList.filter(p => isAtRisk(p, examStart, retentionTarget, scheduler)).length;
+    extraReviews = Math.ceil(atRisk / daysLeft);
+  }
+
+  const newToday = Math.min(newPerDay, unseen + newDone);
+  const newRemaining = Math.min(unseen, Math.max(0, newToday - newDone));
+  // Due signs drop out of reviewsDue once answered; today's reviews count
+  // towards the extra ones so the plan can be completed
+  const reviewsRemaining = reviewsDue + Math.max(0, extraReviews - reviewsDone);
+
+  return {
+    hasExamDate,
+    examDate: hasExamDate ? examStart : null,
+    daysLeft,
+    retentionTarget,
+    totalSigns: allSigns.length,
+    unseen,
+    newToday,
+    newDone,
+    newRemaining,
+    reviewsDue,
+    atRisk,
+    reviewsDone,
+    reviewsRemaining,
+    intensive: hasExamDate && newPerDay > INTENSIVE_NEW_PER_DAY,
+    complete: newRemaining === 0 && reviewsRemaining === 0
+  };
+}
+
+// Today's plan for the stored exam date and retention target
+export async function getStudyPlan(signData) {
+  const [progressList, todaysEvents] = await Promise.all([
+    getAll(STORES.SIGN_PROGRESS),
+    getAnswerEventsSince(startOfStudyDay().toISOString())
+  ]);
+
+  const allSigns = Object.values(signData).flatMap(category => category.signs);
+
+  return computeStudyPlan({
+    progressList,
+    allSigns,
+    todaysEvents,
+    examDate: state.examDate,
+    retentionTarget: state.retentionTarget
+  });
+}
+
+// At-risk signs for the stored exam date not yet practised today, the ones
+// least likely remembered on the day first
+export async function getAtRiskSigns(limit = 20, now = new Date()) {
+  const examDate = state.examDate;
+  if (!examDate || daysBetweenKeys(studyDayKey(now), examDate) <= 0) return [];
+
+  const examStart = startOfDayKey(examDate);
+  const dayStart = startOfStudyDay(now);
+  const scheduler = getScheduler();
+  const progressList = await getAll(STORES.SIGN_PROGRESS);
+
+  return progressList
+    .filter(p => new Date(p.lastAttemptDate) < dayStart && isAtRisk(p, examStart, state.retentionTarget, scheduler))
+    .map(progress => ({ progress, recall: scheduler.retrievability(progress, examStart) }))
+    .sort((a, b) => a.recall - b.recall)
+    .slice(0, limit)
+    .map(entry => entry.progress);
+}
@@ -1,10 +1,12 @@
 // Question type definitions and generators
 
 import { state } from '../state.js';
+import { getConfusedWith } from '../learning/confusion.js';
 
 export const QuestionType = {
   IMAGE_TO_TEXT: 'image-to-text',
-  TEXT_TO_IMAGE: 'text-to-image'
+  TEXT_TO_IMAGE: 'text-to-image',
+  FREE_TEXT: 'free-text'
 };
 
 // Shuffle array using Fisher-Yates
@@ -17,18 +19,28 @@ export function shuffleArray(array) {
   return arr;
 }
 
+// Keep only the first sign per name, and none named like the correct sign,
+// so two options never read the same
+function distinctByName(signs, correctSign) {
+  const seen = new Set([correctSign.name.toLowerCase()]);
+  return signs.filter(s => {
+    const name = s.name.toLowerCase();
+    if (seen.has(name)) return false;
+    seen.add(name);
+    return true;
+  });
+}
+
 // Generate options for a question
 function generateOptions(correctSign, allSigns, count = 4) {
   const filtered = allSigns.filter(s => s.id !== correctSign.id);
-  const wrongOptions = shuffleArray(filtered).slice(0, count - 1);
+  const wrongOptions = distinctByName(shuffleArray(filtered), correctSign).slice(0, count - 1);
   const options = [...wrongOptions, correctSign];
   return state.shuffleOptions ? shuffleArray(options) : options;
 }
 
-// Generate Image-to-Text question
-export function generateImageToTextQuestion(sign, allSigns) {
-  const options = generateOptions(sign, allSigns);
-
+// Build an Image-to-Text question from the given options
+function buildImageToTextQuestion(sign, options) {
   return {
     type: QuestionType.IMAGE_TO_TEXT,
     sign,
@@ -44,10 +56,13 @@ export function generateImageToTextQuestion(sign, allSigns) {
   };
 }
 
-// Generate Text-to-Image question
-export function generateTextToImageQuestion(sign, allSigns) {
-  const options = generateOptions(sign, allSigns);
+// Generate Image-to-Text question
+export function generateImageToTextQuestion(sign, allSigns) {
+  return buildImageToTextQuestion(sign, generateOptions(sign, allSigns));
+}
 
+// Build a Text-to-Image question from the given options
+function buildTextToImageQuestion(sign, options) {
   return {
     type: QuestionType.TEXT_TO_IMAGE,
     sign,
@@ -65,21 +80,45 @@ export function generateTextToImageQuestion(sign, allSigns) {
   };
 }
 
-// Generate question based on current settings
-export function generateQuestion(sign, allSigns) {
-  const type = state.questionType;
+// Generate Text-to-Image question
+export function generateTextToImageQuestion(sign, allSigns) {
+  return buildTextToImageQuestion(sign, generateOptions(sign, allSigns));
+}
+
+// Generate Free-text question - the learner types the meaning of the sign
+export function generateFreeTextQuestion(sign) {
+  return {
+    type: QuestionType.FREE_TEXT,
+    sign,
+    prompt: 'Skriv vad detta vägmärke betyder',
+    image: sign.img,
+    options: [],
+    correctAnswer: sign.name,
+    startTime: Date.now()
+  };
+}
+
+// Resolve 'mixed' to a direction: the one picked from progress, or a coin flip
+function resolveMixedType(direction) {
+  if (direction) return direction;
+  return Math.random() < 0.5 ? QuestionType.IMAGE_TO_TEXT : QuestionType.TEXT_TO_IMAGE;
+}
 
-  if (type === 'mixed') {
-    // 50/50 chance for each type
-    return Math.random() < 0.5
-      ? generateImageToTextQuestion(sign, allSigns)
-      : generateTextToImageQuestion(sign, allSigns);
-  }
+// Generate question based on current settings.
+// In mixed mode `direction` chooses the question type (see learning/directions.js).
+export function generateQuestion(sign, allSigns, direction = null) {
+  const type = state.questionType === 'mixed'
+    ? resolveMixedType(direction)
+    : state.questionType;
 
   if (type === QuestionType.TEXT_TO_IMAGE) {
     return generateTextToImageQuestion(sign, allSigns);
   }
 
+  if (type === QuestionType.FREE_TEXT) {
+    return generateFreeTextQuestion(sign);
+  }
+
   return generateImageToTextQuestion(sign, allSigns);
 }
 
@@ -103,65 +142,72 @@ export function filterByDifficulty(signs, difficulty) {
   });
 }
 
-// Get similar signs for harder questions (signs that are commonly confused)
+// Get similar signs for harder questions, ordered so the most relevant come first:
+// signs the learner has actually confused with this one, then the same category
 export function getSimilarSigns(sign, allSigns) {
-  // Group signs by first letter of their name or by category
+  const confused = getConfusedWith(sign.id)
+    .map(id => allSigns.find(s => s.id === id))
+    .filter(Boolean);
+  const confusedIds = new Set(confused.map(s => s.id));
+
+  // Fall back to the category when there is too little history
   const category = sign.category;
   const sameCategorySigns = allSigns.filter(s =>
-    s.category === category && s.id !== sign.id
+    s.category === category && s.id !== sign.id && !confusedIds.has(s.id)
   );
 
-  if (sameCategorySigns.length >= 3) {
-    return sameCategorySigns;
+  if (confused.length + sameCategorySigns.length >= 3) {
+    return [...confused, ...shuffleArray(sameCategorySigns)];
   }
 
   // Fall back to all signs
-  return allSigns.filter(s => s.id !== sign.id);
+  const others = allSigns.filter(s => s.id !== sign.id && !confusedIds.has(s.id));
+  return [...confused, ...shuffleArray(others)];
 }
 
 // Generate a harder question with similar options
-export function generateHardQuestion(sign, allSigns) {
+export function generateHardQuestion(sign, allSigns, direction = null) {
+  // Typed answers have no distractors to make harder
+  if (state.questionType === QuestionType.FREE_TEXT) {
+    return generateFreeTextQuestion(sign);
+  }
+
   const similarSigns = getSimilarSigns(sign, allSigns);
-  const wrongOptions = shuffleArray(similarSigns).slice(0, 3);
+  const wrongOptions = distinctByName(similarSigns, sign).slice(0, 3);
   const options = state.shuffleOptions
     ? shuffleArray([...wrongOptions, sign])
     : [...wrongOptions, sign];
 
   const type = state.questionType === 'mixed'
-    ? (Math.random() < 0.5 ? QuestionType.IMAGE_TO_TEXT : QuestionType.TEXT_TO_IMAGE)
+    ? resolveMixedType(direction)
     : state.questionType;
 
-  if (type === QuestionType.TEXT_TO_IMAGE) {
-    return {
-      type: QuestionType.TEXT_TO_IMAGE,
-      sign,
-      prompt: sign.name,
-      description: `Vilket vägmärke visar "${sign.name}"?`,
-      options: options.map(opt => ({
-        id: opt.id,
-        name: opt.name,
-        img: opt.img,
-        isCorrect: opt.id === sign.id
-      })),
-      correctAnswer: sign.id,
-      correctImage: sign.img,
-      isHard: true,
-      startTime: Date.now()
-    };
+  const question = type === QuestionType.TEXT_TO_IMAGE
+    ? buildTextToImageQuestion(sign, options)
+    : buildImageToTextQuestion(sign, options);
+
+  return { ...question, isHard: true };
+}
+
+// Rebuild a question recorded in a saved session: same type, same options in the same order.
+// Options whose sign no longer exists are dropped; returns null if the asked sign is gone.
+export function rebuildQuestion(record, allSigns) {
+  const signsById = new Map(allSigns.map(s => [s.id, s]));
+  const sign = signsById.get(record.signId);
+  if (!sign) return null;
+
+  if (record.type === QuestionType.FREE_TEXT) {
+    return generateFreeTextQuestion(sign);
   }
 
-  return {
-    type: QuestionType.IMAGE_TO_TEXT,
-    sign,
-    prompt: 'Vad betyder detta vägmärke?',
-    image: sign.img,
-    options: options.map(opt => ({
-      id: opt.id,
-      name: opt.name,
-      isCorrect: opt.id === sign.id
-    })),
-    correctAnswer: sign.name,
-    isHard: true,
-    startTime: Date.now()
-  };
+  const options = (record.options || [])
+    .map(opt => signsById.get(opt.id))
+    .filter(Boolean);
+  if (!options.some(opt => opt.id === sign.id)) options.push(sign);
+
+  const question = record.type === QuestionType.TEXT_TO_IMAGE
+    ? buildTextToImageQuestion(sign, options)
+    : buildImageToTextQuestion(sign, options);
+
+  return record.isHard ? { ...question, isHard: true } : question;
 }
@@ -1,26 +1,49 @@
 // Quiz engine - manages quiz flow and logic
 
-import { state, resetQuizState, updateStreak, saveSettings } from '../state.js';
-import { generateQuestion, filterByDifficulty, shuffleArray } from './question-types.js';
-import { updateWithSM2, isDueForReview, getRetentionScore } from '../learning/sm2.js';
+import { state, resetQuizState, updateStreak, saveSettings, getQuizSetting } from '../state.js';
+import {
+  QuestionType,
+  generateQuestion,
+  generateHardQuestion,
+  rebuildQuestion,
+  filterByDifficulty,
+  shuffleArray
+} from './question-types.js';
+import { scoreFreeTextAnswer, FULL_MATCH_SCORE } from './text-matching.js';
+import { Quality, matchScoreToQuality, getRetentionScore, getMasteryLevel } from '../learning/sm2.js';
+import { recordReview, isDueForReview, getDueForReview, getRetrievability } from '../learning/scheduler.js';
+import { pickDirection, directionForQuestion } from '../learning/directions.js';
+import { isLeech, getSuspendedSignIds, getComparisonSigns } from '../learning/leeches.js';
+import { loadConfusionModel, recordConfusion } from '../learning/confusion.js';
+import { getAtRiskSigns } from '../learning/study-plan.js';
 import {
   getAll,
-  getDueForReview,
   getWeakestSigns,
   saveQuizSession,
+  logAnswerEvent,
+  saveActiveQuiz,
+  getActiveQuiz,
+  clearActiveQuiz,
   updateCategoryStats,
   STORES
 } from '../utils/storage.js';
+import { registerSignImages } from '../utils/images.js';
+import { AppEvent, emit } from '../utils/events.js';
 
-const IMAGE_BASE = 'https://www.transportstyrelsen.se/link/';
+// Exam simulation - fixed size and time limit, modelled on the theory test
+export const EXAM_QUESTION_COUNT = 25;
+export const EXAM_TIME_LIMIT_MS = 20 * 60 * 1000;
 
 let currentQuestion = null;
+let resumedQuestion = null;
 let allSignsFlat = [];
+let progressBySign = new Map();
 
 // Initialize quiz engine with sign data
 export function initQuizEngine(signData) {
   state.signData = signData;
   allSignsFlat = [];
+  registerSignImages(signData);
 
   Object.entries(signData).forEach(([key, category]) => {
     category.signs.forEach(sign => {
@@ -40,11 +63,6 @@ export function getAllSigns() {
   return allSignsFlat;
 }
 
-// Get image URL for a sign
-export function getImageUrl(imgHash) {
-  return `${IMAGE_BASE}${imgHash}.aspx`;
-}
-
 // Select signs for quiz based on mode
 export async function selectQuizSigns() {
   const { quizMode, questionsPerQuiz, selectedCategories, difficulty } = state;
@@ -67,6 +85,22 @@ export async function selectQuizSigns() {
     }
   });
 
+  // Exams draw from every difficulty, like the real test
+  if (quizMode === 'exam') {
+    state.quizSigns = selectExamSigns(candidates, EXAM_QUESTION_COUNT);
+    return state.quizSigns;
+  }
+
+  // Leech practice draws on every flagged sign, suspended or not
+  if (quizMode === 'leeches') {
+    state.quizSigns = await selectLeechSigns(candidates, questionsPerQuiz);
+    return state.quizSigns;
+  }
+
+  // Suspended signs stay out of normal rotation
+  const suspendedIds = await getSuspendedSignIds();
+  candidates = candidates.filter(sign => !suspendedIds.has(sign.id));
+
   // Apply difficulty filter
   candidates = filterByDifficulty(candidates, difficulty);
 
@@ -107,6 +141,13 @@ export async function selectQuizSigns() {
       const dueIds = new Set(dueForReview.map(d => d.signId));
       selected = candidates.filter(s => dueIds.has(s.id));
 
+      if (selected.length < questionsPerQuiz) {
+        // Then signs the study plan expects to be forgotten before the test
+        const atRisk = await getAtRiskSigns(questionsPerQuiz - selected.length);
+        const atRiskIds = new Set(atRisk.map(p => p.signId));
+        selected = [...selected, ...candidates.filter(s => atRiskIds.has(s.id))];
+      }
+
       if (selected.length < questionsPerQuiz) {
         // Add new signs that haven't been studied
         const allProgress = await getAll(STORES.SIGN_PROGRESS);
@@ -157,26 +198,144 @@ export async function selectQuizSigns() {
   return selected;
 }
 
+// Leeches first, padded with the signs they are confused with
+async function selectLeechSigns(candidates, count) {
+  const [allProgress] = await Promise.all([getAll(STORES.SIGN_PROGRESS), loadConfusionModel()]);
+  const leechIds = new Set(allProgress.filter(isLeech).map(p => p.signId));
+  const leeches = candidates.filter(sign => leechIds.has(sign.id));
+
+  const partnerIds = new Set(
+    leeches.flatMap(sign => getComparisonSigns(sign, candidates).slice(1).map(s => s.id))
+  );
+  const partners = candidates.filter(sign => partnerIds.has(sign.id) && !leechIds.has(sign.id));
+
+  return shuffleArray([...shuffleArray(leeches), ...shuffleArray(partners)].slice(0, count));
+}
+
+// Draw a fixed-size set where each category is represented in proportion to its size
+function selectExamSigns(candidates, count) {
+  const byCategory = new Map();
+  candidates.forEach(sign => {
+    if (!byCategory.has(sign.category)) byCategory.set(sign.category, []);
+    byCategory.get(sign.category).push(sign);
+  });
+
+  const target = Math.min(count, candidates.length);
+  const quotas = Array.from(byCategory.values()).map(signs => {
+    const exact = (signs.length / candidates.length) * target;
+    return { signs, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  // Hand out the slots lost to rounding by largest remainder
+  quotas.sort((a, b) => b.remainder - a.remainder);
+  let assigned = quotas.reduce((sum, q) => sum + q.quota, 0);
+  for (let i = 0; assigned < target; i = (i + 1) % quotas.length) {
+    if (quotas[i].quota < quotas[i].signs.length) {
+      quotas[i].quota++;
+      assigned++;
+    }
+  }
+
+  return shuffleArray(quotas.flatMap(q => shuffleArray(q.signs).slice(0, q.quota)));
+}
+
 async function getLatestQuizSession() {
   const sessions = await getAll(STORES.QUIZ_SESSIONS);
   if (sessions.length === 0) return null;
   return sessions.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
 }
 
+// Progress by sign id, kept in memory so mixed quizzes can pick a direction synchronously
+async function loadProgress() {
+  const allProgress = await getAll(STORES.SIGN_PROGRESS);
+  progressBySign = new Map(allProgress.map(p => [p.signId, p]));
+}
+
 // Start a new quiz
 export async function startQuiz() {
   if (state.selectedCategories.length === 0) return false;
 
   resetQuizState();
-  await selectQuizSigns();
+  resumedQuestion = null;
+  await Promise.all([selectQuizSigns(), loadConfusionModel(), loadProgress(), clearActiveQuiz()]);
 
   if (state.quizSigns.length === 0) {
     return false;
   }
 
+  if (isExamMode()) {
+    state.examDeadline = Date.now() + EXAM_TIME_LIMIT_MS;
+  }
+
+  return true;
+}
+
+// Repeat an earlier session exactly: same signs, question types and options in the same order.
+// Returns false if none of its questions can be rebuilt, e.g. sessions saved before questions were recorded.
+export async function startReplayQuiz(session) {
+  const signsById = new Map(allSignsFlat.map(sign => [sign.id, sign]));
+  const questions = (session.questions || []).filter(q => signsById.has(q.signId));
+  if (questions.length === 0) return false;
+
+  resetQuizState();
+  resumedQuestion = null;
+  state.quizOverrides = {
+    selectedCategories: session.categories,
+    quizMode: session.mode,
+    difficulty: session.difficulty,
+    questionType: session.questionType
+  };
+  state.replayQuestions = questions;
+  state.quizSigns = questions.map(q => signsById.get(q.signId));
+  await Promise.all([loadConfusionModel(), loadProgress(), clearActiveQuiz()]);
+
+  if (isExamMode()) {
+    state.examDeadline = Date.now() + EXAM_TIME_LIMIT_MS;
+  }
+
+  return true;
+}
+
+// Practice exactly the signs missed in the quiz that just finished
+export async function startMissedQuiz() {
+  const missed = [...new Map(state.wrongAnswers.map(sign => [sign.id, sign])).values()];
+  if (missed.length === 0) return false;
+
+  resetQuizState();
+  resumedQuestion = null;
+  state.quizOverrides = { quizMode: 'missed' };
+  state.quizSigns = shuffleArray(missed);
+  await Promise.all([loadConfusionModel(), loadProgress(), clearActiveQuiz()]);
+
   return true;
 }
 
+// Mastery snapshot stored with each answer so the review can show how it moved
+function masterySnapshot(progress) {
+  const { level, label } = getMasteryLevel(progress);
+  return { level, label, score: getRetentionScore(progress) };
+}
+
+// Check if the running quiz is an exam simulation
+export function isExamMode() {
+  return getQuizSetting('quizMode') === 'exam';
+}
+
+// Milliseconds left of the exam, or null outside exam mode
+export function getExamTimeRemaining() {
+  if (!state.examDeadline) return null;
+  return Math.max(0, state.examDeadline - Date.now());
+}
+
+// Pass or fail against the configured threshold
+function getExamVerdict(percentage) {
+  return {
+    passed: percentage >= state.examPassThreshold,
+    passThreshold: state.examPassThreshold,
+    timedOut: Boolean(state.quizEndTime && state.quizEndTime >= state.examDeadline)
+  };
+}
+
 // Load current question
 export function loadCurrentQuestion() {
   const sign = state.quizSigns[state.currentQuestion];
@@ -190,10 +349,106 @@ export function loadCurrentQuestion() {
     return null;
   }
 
-  currentQuestion = generateQuestion(sign, allSignsFlat);
+  if (resumedQuestion && resumedQuestion.sign.id === sign.id) {
+    // Show the exact question that was on screen before the reload
+    currentQuestion = { ...resumedQuestion, startTime: Date.now() };
+  } else if (state.replayQuestions) {
+    currentQuestion = rebuildQuestion(state.replayQuestions[state.currentQuestion], allSignsFlat);
+  } else {
+    // Mixed quizzes ask in the direction the learner is weaker at or due for
+    const direction = getQuizSetting('questionType') === 'mixed'
+      ? pickDirection(progressBySign.get(sign.id), getRetrievability)
+      : null;
+
+    // Hard quizzes use the signs the learner confuses as distractors
+    currentQuestion = getQuizSetting('difficulty') === 'hard'
+      ? generateHardQuestion(sign, allSignsFlat, direction)
+      : generateQuestion(sign, allSignsFlat, direction);
+  }
+  resumedQuestion = null;
+
+  saveCheckpoint(false);
   return currentQuestion;
 }
 
+// Persist the running quiz so it survives a reload or the OS killing the app.
+// Once the quiz is finishing nothing is written, or an answer still being
+// recorded when the exam timer ran out would bring the cleared checkpoint back.
+function saveCheckpoint(answered) {
+  if (state.quizEndTime) return;
+
+  saveActiveQuiz({
+    sessionId: state.sessionId,
+    selectedCategories: state.selectedCategories,
+    quizMode: state.quizMode,
+    questionType: state.questionType,
+    difficulty: state.difficulty,
+    quizSigns: state.quizSigns,
+    currentQuestion: state.currentQuestion,
+    correctAnswers: state.correctAnswers,
+    streak: state.streak,
+    wrongAnswers: state.wrongAnswers,
+    answers: state.answers,
+    replayQuestions: state.replayQuestions,
+    quizOverrides: state.quizOverrides,
+    answeredCount: state.answeredCount,
+    quizStartTime: state.quizStartTime,
+    examDeadline: state.examDeadline,
+    question: currentQuestion,
+    answered
+  }).catch(error => console.error('Failed to save quiz checkpoint:', error));
+}
+
+// Get an unfinished quiz left behind by a reload, if any
+export async function getSavedQuiz() {
+  const checkpoint = await getActiveQuiz();
+  if (!checkpoint || !checkpoint.quizSigns?.length) return null;
+  return checkpoint;
+}
+
+// Restore a saved quiz. Returns false if every question was already answered
+// or the exam time ran out while the app was closed; the quiz is then ready to finish.
+export async function resumeQuiz(checkpoint) {
+  state.sessionId = checkpoint.sessionId;
+  state.selectedCategories = checkpoint.selectedCategories;
+  state.quizMode = checkpoint.quizMode;
+  state.questionType = checkpoint.questionType;
+  state.difficulty = checkpoint.difficulty;
+  state.quizSigns = checkpoint.quizSigns;
+  state.currentQuestion = checkpoint.currentQuestion;
+  state.correctAnswers = checkpoint.correctAnswers;
+  state.streak = checkpoint.streak;
+  state.wrongAnswers = checkpoint.wrongAnswers;
+  state.answers = checkpoint.answers || [];
+  state.replayQuestions = checkpoint.replayQuestions || null;
+  state.quizOverrides = checkpoint.quizOverrides || null;
+  state.answeredCount = checkpoint.answeredCount;
+  state.quizStartTime = checkpoint.quizStartTime;
+  state.quizEndTime = null;
+  state.examDeadline = checkpoint.examDeadline;
+
+  if (isExamMode() && getExamTimeRemaining() === 0) {
+    resumedQuestion = null;
+    return false;
+  }
+
+  await Promise.all([loadConfusionModel(), loadProgress()]);
+
+  if (checkpoint.answered) {
+    resumedQuestion = null;
+    return nextQuestion();
+  }
+
+  resumedQuestion = checkpoint.question;
+  return true;
+}
+
+// Drop the saved quiz, e.g. when the learner declines to resume
+export async function discardSavedQuiz() {
+  resumedQuestion = null;
+  await clearActiveQuiz();
+}
+
 // Get current question
 export function getCurrentQuestion() {
   return currentQuestion;
@@ -214,7 +469,72 @@ export async function checkAnswer(selectedOptionId) {
 
   const isCorrect = selectedOptionId === correctOption.id;
 
-  // Update state
+  if (!isCorrect) {
+    recordConfusion(currentQuestion.sign.id, selectedOptionId);
+  }
+
+  await recordAnswer(isCorrect, responseTime, null, {
+    selectedOptionId,
+    correctOptionId: correctOption.id,
+    optionIds: currentQuestion.options.map(opt => opt.id),
+    distractorIds: currentQuestion.options.filter(opt => !opt.isCorrect).map(opt => opt.id)
+  });
+
+  return {
+    isCorrect,
+    correctAnswer: correctOption,
+    explanation: currentQuestion.sign.description || '',
+    leech: getLeechComparison(currentQuestion.sign),
+    responseTime,
+    streak: state.streak
+  };
+}
+
+// Signs the learner keeps forgetting are taught side by side with what they are confused with
+function getLeechComparison(sign) {
+  const progress = progressBySign.get(sign.id);
+  if (!isLeech(progress)) return null;
+  return {
+    lapses: progress.lapses,
+    signs: getComparisonSigns(sign, allSignsFlat)
+  };
+}
+
+// Grade a typed answer with fuzzy matching; partial matches give intermediate quality
+export async function checkFreeTextAnswer(input) {
+  if (!currentQuestion || currentQuestion.type !== QuestionType.FREE_TEXT) return null;
+
+  const responseTime = Date.now() - currentQuestion.startTime;
+  const otherNames = allSignsFlat
+    .filter(sign => sign.id !== currentQuestion.sign.id)
+    .map(sign => sign.name);
+  const score = scoreFreeTextAnswer(input, currentQuestion.correctAnswer, otherNames);
+  const isFullMatch = score >= FULL_MATCH_SCORE;
+  const quality = isFullMatch ? null : matchScoreToQuality(score);
+  const isCorrect = isFullMatch || quality >= Quality.CORRECT_DIFFICULTY;
+
+  await recordAnswer(isCorrect, responseTime, quality, {
+    selectedOptionId: null,
+    correctOptionId: currentQuestion.sign.id,
+    typedAnswer: input,
+    matchScore: score
+  });
+
+  return {
+    isCorrect,
+    isPartial: !isFullMatch && quality >= Quality.INCORRECT_EASY_RECALL,
+    score,
+    correctAnswer: { id: currentQuestion.sign.id, name: currentQuestion.sign.name },
+    explanation: currentQuestion.sign.description || '',
+    leech: getLeechComparison(currentQuestion.sign),
+    responseTime,
+    streak: state.streak
+  };
+}
+
+// Update counters, scheduling and the answer log for the current question
+async function recordAnswer(isCorrect, responseTime, quality, details) {
+  state.answeredCount++;
   if (isCorrect) {
     state.correctAnswers++;
   } else {
@@ -222,20 +542,55 @@ export async function checkAnswer(selectedOptionId) {
   }
   updateStreak(isCorrect);
 
-  // Update learning progress with SM-2
-  await updateWithSM2(
+  // Update learning progress with the active scheduler
+  const previous = progressBySign.get(currentQuestion.sign.id);
+  const progress = await recordReview(
     currentQuestion.sign.id,
     currentQuestion.sign.category,
     isCorrect,
-    responseTime
+    responseTime,
+    quality,
+    directionForQuestion(currentQuestion.type)
   );
+  progressBySign.set(progress.signId, progress);
+
+  // Everything needed to show the question again in the history or repeat it
+  state.answers.push({
+    signId: currentQuestion.sign.id,
+    name: currentQuestion.sign.name,
+    category: currentQuestion.sign.category,
+    type: currentQuestion.type,
+    isHard: Boolean(currentQuestion.isHard),
+    options: currentQuestion.options.map(opt => ({ id: opt.id, name: opt.name })),
+    selectedOptionId: details.selectedOptionId,
+    typedAnswer: details.typedAnswer ?? null,
+    isCorrect,
+    responseTime,
+    masteryBefore: masterySnapshot(previous),
+    masteryAfter: masterySnapshot(progress)
+  });
 
-  return {
+  saveCheckpoint(true);
+
+  // Keep the raw answer so stats and the model can be rebuilt later
+  const event = {
+    sessionId: state.sessionId,
+    signId: currentQuestion.sign.id,
+    category: currentQuestion.sign.category,
+    mode: getQuizSetting('quizMode'),
+    questionType: currentQuestion.type,
+    isHard: Boolean(currentQuestion.isHard),
+    optionIds: [],
+    distractorIds: [],
+    ...details,
     isCorrect,
-    correctAnswer: correctOption,
     responseTime,
-    streak: state.streak
+    quality: progress.lastQuality
   };
+  await logAnswerEvent(event);
+  emit(AppEvent.ANSWER_RECORDED, { event, progress });
+
+  return progress;
 }
 
 // Move to next question
@@ -260,41 +615,48 @@ export function getQuizProgress() {
   };
 }
 
-// Finish quiz and save results
-export async function finishQuiz() {
+// Finish quiz and save results.
+// An aborted quiz is saved as a partial session covering only the answered questions
+export async function finishQuiz({ aborted = false } = {}) {
   state.quizEndTime = Date.now();
+  await clearActiveQuiz();
 
   const duration = state.quizEndTime - state.quizStartTime;
-  const percentage = Math.round((state.correctAnswers / state.quizSigns.length) * 100);
+  const totalQuestions = aborted ? state.answeredCount : state.quizSigns.length;
+  const percentage = totalQuestions > 0
+    ? Math.round((state.correctAnswers / totalQuestions) * 100)
+    : 0;
+  const exam = isExamMode() && !aborted ? getExamVerdict(percentage) : null;
 
   // Save quiz session
-  await saveQuizSession({
-    categories: state.selectedCategories,
-    mode: state.quizMode,
-    difficulty: state.difficulty,
-    questionType: state.questionType,
-    totalQuestions: state.quizSigns.length,
+  const session = {
+    sessionId: state.sessionId,
+    categories: getQuizSetting('selectedCategories'),
+    mode: getQuizSetting('quizMode'),
+    difficulty: getQuizSetting('difficulty'),
+    questionType: getQuizSetting('questionType'),
+    totalQuestions,
+    plannedQuestions: state.quizSigns.length,
     correctAnswers: state.correctAnswers,
     wrongAnswers: state.wrongAnswers.map(s => ({ id: s.id, name: s.name })),
+    questions: state.answers,
     percentage,
     duration,
-    bestStreak: Math.max(state.streak, state.bestStreak)
-  });
+    bestStreak: Math.max(state.streak, state.bestStreak),
+    aborted,
+    ...exam
+  };
+  await saveQuizSession(session);
+  emit(AppEvent.QUIZ_FINISHED, { session });
 
-  // Update category stats
-  const categoryCorrect = {};
+  // Update category stats - unanswered signs of a timed-out exam or aborted quiz are left out
   const categoryTotal = {};
 
-  state.quizSigns.forEach((sign, index) => {
+  state.quizSigns.slice(0, state.answeredCount).forEach(sign => {
     const cat = sign.category;
     categoryTotal[cat] = (categoryTotal[cat] || 0) + 1;
   });
 
-  state.wrongAnswers.forEach(sign => {
-    const cat = sign.category;
-    categoryCorrect[cat] = (categoryCorrect[cat] || 0);
-  });
-
   for (const cat of Object.keys(categoryTotal)) {
     const wrong = state.wrongAnswers.filter(s => s.category === cat).length;
     const correct = categoryTotal[cat] - wrong;
@@ -302,15 +664,26 @@ export async function finishQuiz() {
   }
 
   return {
-    totalQuestions: state.quizSigns.length,
+    totalQuestions,
     correctAnswers: state.correctAnswers,
     wrongAnswers: state.wrongAnswers,
     percentage,
     duration,
-    streak: state.bestStreak
+    streak: state.bestStreak,
+    aborted,
+    exam
   };
 }
 
+// Abort the running quiz. Returns null if nothing was answered and nothing was saved.
+export async function abortQuiz() {
+  if (state.answeredCount === 0) {
+    await discardSavedQuiz();
+    return null;
+  }
+  return finishQuiz({ aborted: true });
+}
+
 // Get quiz results
 export function getQuizResults() {
   const percentage = Math.round((state.correctAnswers / state.quizSigns.length) * 100);
@@ -320,8 +693,10 @@ export function getQuizResults() {
     correctAnswers: state.correctAnswers,
     incorrectAnswers: state.quizSigns.length - state.correctAnswers,
     wrongAnswers: state.wrongAnswers,
+    answers: state.answers,
     percentage,
     streak: state.streak,
-    bestStreak: state.bestStreak
+    bestStreak: state.bestStreak,
+    exam: isExamMode() ? getExamVerdict(percentage) : null
   };
 }
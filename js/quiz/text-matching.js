@@ -0,0 +1,144 @@
+// Tolerant matching of typed answers against sign names
+
+// Articles that do not change what a sign means
+const IGNORED_WORDS = new Set(['en', 'ett', 'den', 'det', 'de']);
+
+// Score at or above which a typed answer counts as fully correct
+export const FULL_MATCH_SCORE = 0.9;
+
+// Lowercase, fold å/ä/ö and other accents, drop sign code prefixes like "F1-1." and punctuation
+export function normalizeAnswer(text) {
+  return String(text || '')
+    .replace(/^[A-Z]+\d+(-\d+)?\.\s*/, '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalizeAnswer(text)
+    .split(' ')
+    .filter(word => word && !IGNORED_WORDS.has(word));
+}
+
+// Classic edit distance between two strings
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Number of typos tolerated in a single word of the given length.
+// Short words must be exact, so "bro" and "kö" or "badplats" and "laddplats" stay apart.
+function allowedTypos(length) {
+  if (length <= 4) return 0;
+  if (length <= 9) return 1;
+  return 2;
+}
+
+// Words that turn a sign into its opposite ("Slut på förbud…", "…upphör", "utan bommar")
+const NEGATING_WORDS = new Set(['slut', 'upphor', 'utan', 'ej', 'inte']);
+
+// Cap for answers with a negating word on only one side - they name the opposite sign
+const NEGATION_MISMATCH_CAP = 0.4;
+
+// Cap for answers that swap a word for another, or name another sign outright
+const SUBSTITUTION_CAP = 0.5;
+
+// Unmatched words in the answer count this much more than missing ones
+const EXTRA_WORD_WEIGHT = 2;
+
+// Pair each expected word with the closest unused answer word within its typo budget
+function matchWords(answerTokens, expectedTokens) {
+  const used = new Set();
+  let matchedChars = 0;
+  let missingChars = 0;
+
+  expectedTokens.forEach(word => {
+    let best = -1;
+    let bestDistance = Infinity;
+
+    answerTokens.forEach((candidate, i) => {
+      if (used.has(i)) return;
+      // Typos are tolerated after the first letter only
+      if (candidate !== word && candidate[0] !== word[0]) return;
+      const distance = levenshtein(word, candidate);
+      if (distance <= allowedTypos(word.length) && distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+
+    if (best > -1) {
+      used.add(best);
+      matchedChars += word.length - bestDistance;
+    } else {
+      missingChars += word.length;
+    }
+  });
+
+  const extraWords = answerTokens.filter((_, i) => !used.has(i));
+  return {
+    matchedChars,
+    missingChars,
+    extraChars: extraWords.join('').length,
+    extraWords
+  };
+}
+
+function scoreTokens(answerTokens, expectedTokens) {
+  if (answerTokens.length === 0 || expectedTokens.length === 0) return 0;
+
+  // Same words with different spacing, e.g. "gång och cykelbana" vs "gångochcykelbana"
+  if (answerTokens.join('') === expectedTokens.join('')) return 1;
+
+  const { matchedChars, missingChars, extraChars, extraWords } = matchWords(answerTokens, expectedTokens);
+  if (matchedChars === 0) return 0;
+
+  const recall = matchedChars / (matchedChars + missingChars);
+  const precision = matchedChars / (matchedChars + extraChars * EXTRA_WORD_WEIGHT);
+  let score = (2 * precision * recall) / (precision + recall);
+
+  const answerNegated = answerTokens.some(word => NEGATING_WORDS.has(word));
+  const expectedNegated = expectedTokens.some(word => NEGATING_WORDS.has(word));
+  if (answerNegated !== expectedNegated) {
+    score = Math.min(score, NEGATION_MISMATCH_CAP);
+  } else if (missingChars > 0 && extraWords.length > 0) {
+    score = Math.min(score, SUBSTITUTION_CAP);
+  }
+
+  return score;
+}
+
+// Score a typed answer against the expected name (0-1).
+// Word order is ignored and each word gets its own typo budget. Pass the names of the
+// other signs so an answer that names one of them is not graded as correct.
+export function scoreFreeTextAnswer(input, expected, otherNames = []) {
+  const answerTokens = tokenize(input);
+  const score = scoreTokens(answerTokens, tokenize(expected));
+  if (score < SUBSTITUTION_CAP) return score;
+
+  const answer = answerTokens.join(' ');
+  const expectedNormalized = tokenize(expected).join(' ');
+  const namesOther = otherNames.some(name => {
+    const otherTokens = tokenize(name);
+    const other = otherTokens.join(' ');
+    if (other === expectedNormalized) return false;
+    return other === answer || scoreTokens(answerTokens, otherTokens) > score;
+  });
+
+  return namesOther ? SUBSTITUTION_CAP : score;
+}
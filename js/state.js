@@ -11,15 +11,29 @@ export const state = {
   streak: 0,
   bestStreak: 0,
   wrongAnswers: [],
+  answers: [], // Every answered question of the running quiz, saved with the session
+  replayQuestions: null, // Questions of an earlier session being repeated exactly
+  quizOverrides: null, // Settings of the running quiz that differ from the learner's own (see getQuizSetting)
   questionsPerQuiz: 15,
   shuffleOptions: true,
   showCategoryInfo: true,
   questionType: 'mixed', // 'image-to-text', 'text-to-image', 'mixed'
-  quizMode: 'standard', // 'standard', 'missed', 'weakest', 'spaced'
+  quizMode: 'standard', // 'standard', 'missed', 'weakest', 'spaced', 'adaptive', 'exam', 'leeches'
   difficulty: 'adaptive', // 'easy', 'medium', 'hard', 'adaptive'
+  examPassThreshold: 80, // Percentage needed to pass in exam mode
+  scheduler: 'sm2', // 'sm2', 'fsrs'
+  examDate: null, // Theory test date as YYYY-MM-DD
+  retentionTarget: 0.9, // Recall probability every sign should have on the test date
+  dayStartHour: 4, // Study days start at this hour, so late-night practice counts for the day before
+  dailyGoal: 20, // Answers per day, or 'due' to clear every due review
+  remindersEnabled: false,
+  reminderHour: 18, // Earliest hour for a reminder notification
   currentScreen: 'start',
+  sessionId: null,
+  answeredCount: 0,
   quizStartTime: null,
-  quizEndTime: null
+  quizEndTime: null,
+  examDeadline: null
 };
 
 export function saveSettings() {
@@ -30,6 +44,14 @@ export function saveSettings() {
     questionType: state.questionType,
     quizMode: state.quizMode,
     difficulty: state.difficulty,
+    examPassThreshold: state.examPassThreshold,
+    scheduler: state.scheduler,
+    examDate: state.examDate,
+    retentionTarget: state.retentionTarget,
+    dayStartHour: state.dayStartHour,
+    dailyGoal: state.dailyGoal,
+    remindersEnabled: state.remindersEnabled,
+    reminderHour: state.reminderHour,
     bestStreak: state.bestStreak
   };
   localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
@@ -46,20 +68,45 @@ export function loadSettings() {
     state.questionType = parsed.questionType || state.questionType;
     state.quizMode = parsed.quizMode || state.quizMode;
     state.difficulty = parsed.difficulty || state.difficulty;
+    state.examPassThreshold = Number(parsed.examPassThreshold) || state.examPassThreshold;
+    state.scheduler = parsed.scheduler || state.scheduler;
+    state.examDate = parsed.examDate || null;
+    state.retentionTarget = Number(parsed.retentionTarget) || state.retentionTarget;
+    state.dayStartHour = Number.isInteger(parsed.dayStartHour) ? parsed.dayStartHour : state.dayStartHour;
+    state.dailyGoal = parsed.dailyGoal === 'due' ? 'due' : (Number(parsed.dailyGoal) || state.dailyGoal);
+    state.remindersEnabled = parsed.remindersEnabled === true;
+    state.reminderHour = Number(parsed.reminderHour) || state.reminderHour;
     state.bestStreak = Number(parsed.bestStreak) || 0;
   } catch {
     // Ignore parse errors
   }
 }
 
+// Short unique id used to group answer events from one sitting
+export function createSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 export function resetQuizState() {
+  state.sessionId = createSessionId();
   state.quizSigns = [];
   state.currentQuestion = 0;
   state.correctAnswers = 0;
   state.streak = 0;
   state.wrongAnswers = [];
+  state.answers = [];
+  state.replayQuestions = null;
+  state.quizOverrides = null;
+  state.answeredCount = 0;
   state.quizStartTime = Date.now();
   state.quizEndTime = null;
+  state.examDeadline = null;
+}
+
+// A setting as it applies to the running quiz. Repeating a session or practising
+// missed signs overrides some of them for that quiz only, so they are never saved.
+export function getQuizSetting(key) {
+  return state.quizOverrides?.[key] ?? state[key];
 }
 
 export function updateStreak(isCorrect) {
@@ -0,0 +1,193 @@
+// Sign catalogue - look up any sign and the learner's history with it
+
+import { getAll, STORES } from '../utils/storage.js';
+import { getSignProgress } from '../learning/progress.js';
+import { getMasteryLevel } from '../learning/sm2.js';
+import { getSignImageUrl } from '../utils/images.js';
+
+// Disjoint difficulty bands, unlike the overlapping quiz filter in
+// question-types.js, so every sign is listed under exactly one of them
+const DIFFICULTY_OPTIONS = [
+  { value: 'easy', label: 'Lätt (1–2)', levels: [1, 2] },
+  { value: 'medium', label: 'Medel (3)', levels: [3] },
+  { value: 'hard', label: 'Svår (4–5)', levels: [4, 5] }
+];
+
+const MASTERY_OPTIONS = [
+  { value: 'new', label: 'Ny' },
+  { value: 'beginner', label: 'Nybörjare' },
+  { value: 'learning', label: 'Lär sig' },
+  { value: 'proficient', label: 'Kunnig' },
+  { value: 'master', label: 'Mästare' }
+];
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString('sv-SE') : '–';
+}
+
+function renderOptions(options, selected) {
+  return options.map(opt => `
+    <option value="${opt.value}" ${opt.value === selected ? 'selected' : ''}>${opt.label}</option>
+  `).join('');
+}
+
+export async function renderCatalogue(container, signs, signData, callbacks) {
+  container.innerHTML = '<div class="loading-spinner">Laddar märken...</div>';
+
+  const filters = { query: '', category: '', difficulty: '', mastery: '' };
+  let progressBySign = new Map();
+
+  try {
+    const allProgress = await getAll(STORES.SIGN_PROGRESS);
+    progressBySign = new Map(allProgress.map(p => [p.signId, p]));
+  } catch (error) {
+    console.error('Catalogue error:', error);
+  }
+
+  function getFilteredSigns() {
+    const query = filters.query.trim().toLowerCase();
+    const difficultyLevels = DIFFICULTY_OPTIONS.find(opt => opt.value === filters.difficulty)?.levels;
+
+    return signs.filter(sign => {
+      if (filters.category && sign.category !== filters.category) return false;
+      if (difficultyLevels && !difficultyLevels.includes(sign.difficulty || 2)) return false;
+      if (filters.mastery && getMasteryLevel(progressBySign.get(sign.id)).level !== filters.mastery) return false;
+      if (!query) return true;
+      return sign.name.toLowerCase().includes(query) || sign.id.toLowerCase().includes(query);
+    });
+  }
+
+  function renderList() {
+    const listEl = container.querySelector('#catalogue-list');
+    const countEl = container.querySelector('#catalogue-count');
+    if (!listEl) return;
+
+    const filtered = getFilteredSigns();
+    if (countEl) countEl.textContent = `${filtered.length} av ${signs.length} märken`;
+
+    listEl.innerHTML = filtered.length === 0
+      ? '<p class="section-desc">Inga märken matchar sökningen</p>'
+      : filtered.map(sign => {
+        const mastery = getMasteryLevel(progressBySign.get(sign.id));
+        return `
+          <button class="catalogue-item" type="button" data-sign="${sign.id}">
+            <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}" loading="lazy">
+            <strong>${sign.id}</strong>
+            <p>${sign.name}</p>
+            <span class="catalogue-mastery" style="--mastery-color: ${mastery.color}">${mastery.label}</span>
+          </button>
+        `;
+      }).join('');
+
+    listEl.querySelectorAll('[data-sign]').forEach(item => {
+      item.addEventListener('click', () => {
+        renderDetail(signs.find(sign => sign.id === item.dataset.sign));
+      });
+    });
+  }
+
+  function renderBrowser() {
+    container.innerHTML = `
+      <div class="catalogue">
+        <div class="dashboard-header">
+          <h2>Alla märken</h2>
+          <button class="ghost-btn" id="back-from-catalogue">Tillbaka</button>
+        </div>
+
+        <div class="catalogue-filters">
+          <input class="catalogue-search" id="catalogue-search" type="search"
+                 placeholder="Sök på namn eller kod" value="${filters.query.replace(/"/g, '&quot;')}" aria-label="Sök märken">
+          <select id="catalogue-category" aria-label="Kategori">
+            <option value="">Alla kategorier</option>
+            ${renderOptions(Object.entries(signData).map(([key, cat]) => ({ value: key, label: cat.name })), filters.category)}
+          </select>
+          <select id="catalogue-difficulty" aria-label="Svårighetsgrad">
+            <option value="">Alla svårigheter</option>
+            ${renderOptions(DIFFICULTY_OPTIONS, filters.difficulty)}
+          </select>
+          <select id="catalogue-mastery" aria-label="Behärskning">
+            <option value="">All behärskning</option>
+            ${renderOptions(MASTERY_OPTIONS, filters.mastery)}
+          </select>
+        </div>
+        <p class="section-desc" id="catalogue-count"></p>
+
+        <div class="catalogue-grid" id="catalogue-list"></div>
+      </div>
+    `;
+
+    container.querySelector('#back-from-catalogue')?.addEventListener('click', () => {
+      callbacks.onBack?.();
+    });
+
+    container.querySelector('#catalogue-search')?.addEventListener('input', (e) => {
+      filters.query = e.target.value;
+      renderList();
+    });
+
+    [['#catalogue-category', 'category'], ['#catalogue-difficulty', 'difficulty'], ['#catalogue-mastery', 'mastery']]
+      .forEach(([selector, key]) => {
+        container.querySelector(selector)?.addEventListener('change', (e) => {
+          filters[key] = e.target.value;
+          renderList();
+        });
+      });
+
+    renderList();
+  }
+
+  async function renderDetail(sign) {
+    if (!sign) return;
+    const progress = await getSignProgress(sign.id);
+
+    container.innerHTML = `
+      <div class="catalogue">
+        <div class="dashboard-header">
+          <h2>${sign.id}</h2>
+          <button class="ghost-btn" id="back-to-catalogue">Alla märken</button>
+        </div>
+
+        <div class="dashboard-section catalogue-detail">
+          <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}">
+          <h3>${sign.name}</h3>
+          <p class="section-desc">${signData[sign.category]?.icon || ''} ${sign.categoryName}</p>
+          <p>${sign.description || 'Ingen förklaring finns för det här märket.'}</p>
+        </div>
+
+        <div class="dashboard-section">
+          <h3>Din historik</h3>
+          ${progress.studied ? `
+            <div class="catalogue-history">
+              <div>
+                <span class="catalogue-history-value" style="color: ${progress.mastery.color}">${progress.mastery.label}</span>
+                <span class="catalogue-history-label">Behärskning</span>
+              </div>
+              <div>
+                <span class="catalogue-history-value">${progress.totalAttempts}</span>
+                <span class="catalogue-history-label">Försök</span>
+              </div>
+              <div>
+                <span class="catalogue-history-value">${Math.round(progress.accuracy * 100)}%</span>
+                <span class="catalogue-history-label">Träffsäkerhet</span>
+              </div>
+              <div>
+                <span class="catalogue-history-value">${formatDate(progress.lastPracticed)}</span>
+                <span class="catalogue-history-label">Senast övat</span>
+              </div>
+              <div>
+                <span class="catalogue-history-value">${formatDate(progress.nextReview)}</span>
+                <span class="catalogue-history-label">Nästa repetition</span>
+              </div>
+            </div>
+          ` : `
+            <p class="section-desc">Du har inte övat på det här märket än.</p>
+          `}
+        </div>
+      </div>
+    `;
+
+    container.querySelector('#back-to-catalogue')?.addEventListener('click', renderBrowser);
+  }
+
+  renderBrowser();
+}
@@ -0,0 +1,71 @@
+// Dependency-free SVG charts for the dashboard
+
+import { parseDayKey } from '../utils/dates.js';
+
+const HEATMAP_CELL = 11;
+const HEATMAP_GAP = 2;
+const HEATMAP_LEVELS = 4;
+
+function formatDayKey(key) {
+  return parseDayKey(key).toLocaleDateString('sv-SE', { day: 'numeric', month: 'short' });
+}
+
+// Calendar heatmap: one column per week (Monday first), one cell per day
+export function createHeatmapSvg(calendar) {
+  if (calendar.length === 0) return '';
+
+  const max = Math.max(1, ...calendar.map(day => day.count));
+  const firstWeekday = (parseDayKey(calendar[0].key).getDay() + 6) % 7;
+  const step = HEATMAP_CELL + HEATMAP_GAP;
+  const weeks = Math.ceil((calendar.length + firstWeekday) / 7);
+
+  const cells = calendar.map((day, i) => {
+    const slot = i + firstWeekday;
+    const level = day.count === 0 ? 0 : Math.ceil((day.count / max) * HEATMAP_LEVELS);
+    return `<rect class="heatmap-cell level-${level}"
+      x="${Math.floor(slot / 7) * step}" y="${(slot % 7) * step}"
+      width="${HEATMAP_CELL}" height="${HEATMAP_CELL}" rx="2">
+      <title>${formatDayKey(day.key)}: ${day.count} svar</title>
+    </rect>`;
+  });
+
+  return `
+    <svg class="heatmap" viewBox="0 0 ${weeks * step - HEATMAP_GAP} ${7 * step - HEATMAP_GAP}"
+         role="img" aria-label="Antal svar per dag">
+      ${cells.join('')}
+    </svg>
+  `;
+}
+
+// Line chart of `points` ({ key, value }) with the y axis from 0 to `yMax`
+export function createLineChartSvg(points, { yMax, formatValue = String, label = '' } = {}) {
+  if (points.length === 0) return '<p class="section-desc">Ingen data ännu</p>';
+
+  const width = 320;
+  const height = 120;
+  const pad = { top: 10, right: 10, bottom: 20, left: 36 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const top = yMax ?? (Math.max(...points.map(p => p.value)) * 1.1 || 1);
+
+  const x = i => pad.left + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+  const y = value => pad.top + plotHeight - (Math.min(value, top) / top) * plotHeight;
+  const coords = points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`);
+
+  return `
+    <svg class="line-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+      <line class="line-chart-axis" x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}" />
+      <line class="line-chart-grid" x1="${pad.left}" y1="${pad.top}" x2="${width - pad.right}" y2="${pad.top}" />
+      <text class="line-chart-label" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${formatValue(top)}</text>
+      <text class="line-chart-label" x="${pad.left - 4}" y="${pad.top + plotHeight}" text-anchor="end">${formatValue(0)}</text>
+      <text class="line-chart-label" x="${pad.left}" y="${height - 4}">${formatDayKey(points[0].key)}</text>
+      <text class="line-chart-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${formatDayKey(points[points.length - 1].key)}</text>
+      <polyline class="line-chart-line" points="${coords.join(' ')}" />
+      ${points.map((p, i) => `
+        <circle class="line-chart-point" cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2.5">
+          <title>${formatDayKey(p.key)}: ${formatValue(p.value)}</title>
+        </circle>
+      `).join('')}
+    </svg>
+  `;
+}
@@ -1,6 +1,13 @@
 // Reusable UI components
 
-const IMAGE_BASE = 'https://www.transportstyrelsen.se/link/';
+import { getSignImageUrl } from '../utils/images.js';
+import { QuestionType } from '../quiz/question-types.js';
+
+const QUESTION_TYPE_LABELS = {
+  [QuestionType.IMAGE_TO_TEXT]: 'Bild → Text',
+  [QuestionType.TEXT_TO_IMAGE]: 'Text → Bild',
+  [QuestionType.FREE_TEXT]: 'Skriv svaret'
+};
 
 // Status banner
 export function showStatus(message, isError = false) {
@@ -29,7 +36,7 @@ export function createCategoryCard(key, category, isSelected = false) {
 
   // Get first sign image from category
   const previewSign = category.signs && category.signs.length > 0 ? category.signs[0] : null;
-  const previewImg = previewSign ? `${IMAGE_BASE}${previewSign.img}.aspx` : '';
+  const previewImg = previewSign ? getSignImageUrl(previewSign.img) : '';
 
   return `
     <div class="category-card ${selectedClass}" data-category="${key}" style="${colorStyle}">
@@ -48,7 +55,7 @@ export function createCategoryCard(key, category, isSelected = false) {
 // Sign image
 export function createSignImage(imgHash, name, size = 'medium') {
   return `<img
-    src="${IMAGE_BASE}${imgHash}.aspx"
+    src="${getSignImageUrl(imgHash)}"
     alt="${name}"
     class="sign-image sign-image-${size}"
     loading="lazy"
@@ -68,7 +75,7 @@ export function createTextOption(option, index) {
 export function createImageOption(option, index) {
   return `
     <button class="option image-option" data-option-id="${option.id}" data-index="${index}">
-      <img src="${IMAGE_BASE}${option.img}.aspx" alt="Alternativ ${index + 1}" loading="lazy">
+      <img src="${getSignImageUrl(option.img)}" alt="Alternativ ${index + 1}" loading="lazy">
     </button>
   `;
 }
@@ -92,13 +99,66 @@ export function createScoreCircle(percentage) {
   `;
 }
 
-// Missed sign card
-export function createMissedCard(sign) {
+function createReviewSign(sign, name, caption) {
+  return `
+    <div class="review-sign">
+      ${sign ? `<img src="${getSignImageUrl(sign.img)}" alt="${name}">` : ''}
+      <span class="review-sign-caption">${caption}</span>
+      <p>${name}</p>
+    </div>
+  `;
+}
+
+// One answered question of a quiz: the learner's pick next to the correct sign,
+// response time and how the sign's mastery moved. `signsById` resolves images.
+export function createQuestionReview(question, index, signsById) {
+  const correctSign = signsById.get(question.signId);
+  const picked = question.options.find(opt => opt.id === question.selectedOptionId);
+  const pickedName = question.type === QuestionType.FREE_TEXT
+    ? (question.typedAnswer ? `"${question.typedAnswer}"` : 'Inget svar')
+    : (picked?.name || 'Inget svar');
+
+  const { masteryBefore: before, masteryAfter: after } = question;
+  const scoreChange = before && after ? after.score - before.score : 0;
+
   return `
-    <div class="missed-card">
-      <img src="${IMAGE_BASE}${sign.img}.aspx" alt="${sign.name}">
-      <strong>${sign.id}</strong>
-      <p>${sign.name}</p>
+    <div class="review-item ${question.isCorrect ? 'correct' : 'incorrect'}">
+      <div class="review-item-header">
+        <span>${question.isCorrect ? '✓' : '✗'} ${index + 1}. ${QUESTION_TYPE_LABELS[question.type] || ''}</span>
+        <span>${(question.responseTime / 1000).toFixed(1)} s</span>
+      </div>
+      <div class="review-signs">
+        ${question.isCorrect
+          ? createReviewSign(correctSign, question.name, 'Ditt svar')
+          : `
+            ${createReviewSign(picked ? signsById.get(picked.id) : null, pickedName, 'Ditt svar')}
+            ${createReviewSign(correctSign, question.name, 'Rätt svar')}
+          `}
+      </div>
+      ${before && after ? `
+        <div class="review-mastery">
+          ${before.level === after.level ? after.label : `${before.label} → ${after.label}`}
+          <span class="review-mastery-change ${scoreChange >= 0 ? 'up' : 'down'}">
+            ${scoreChange >= 0 ? '+' : ''}${scoreChange}
+          </span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Side-by-side comparison of a sign and the signs it is confused with
+export function createComparison(signs) {
+  return `
+    <div class="comparison-grid">
+      ${signs.map((sign, index) => `
+        <div class="comparison-card ${index === 0 ? 'target' : ''}">
+          <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}">
+          <strong>${sign.id}</strong>
+          <p class="comparison-name">${sign.name}</p>
+          ${sign.description ? `<p class="comparison-description">${sign.description}</p>` : ''}
+        </div>
+      `).join('')}
     </div>
   `;
 }
@@ -144,7 +204,8 @@ export function createQuestionTypeSelector(currentType) {
   const types = [
     { value: 'mixed', label: 'Blandat', icon: '🔀' },
     { value: 'image-to-text', label: 'Bild → Text', icon: '🖼️' },
-    { value: 'text-to-image', label: 'Text → Bild', icon: '📝' }
+    { value: 'text-to-image', label: 'Text → Bild', icon: '📝' },
+    { value: 'free-text', label: 'Skriv svaret', icon: '⌨️' }
   ];
 
   return `
@@ -2,22 +2,83 @@
 
 import { state } from '../state.js';
 import { getDashboardSummary, getPersonalizedRecommendations, getNextBestSigns } from '../learning/recommendations.js';
-import { getCategoryProgress, getWeakSignsWithDetails } from '../learning/progress.js';
+import { getCategoryProgress, getWeakSignsWithDetails, getExamHistory, getDirectionStats } from '../learning/progress.js';
+import { getReviewForecast, getMasteryProjection, NEW_SIGNS_PER_DAY } from '../learning/forecast.js';
+import { getStudyPlan } from '../learning/study-plan.js';
+import { getLeeches, setSuspended, getComparisonSigns } from '../learning/leeches.js';
+import { loadConfusionModel } from '../learning/confusion.js';
+import { createComparison, showToast } from './components.js';
+import { STREAK_FREEZE_EARN_DAYS } from '../utils/dates.js';
+import { getDailyGoalProgress } from '../learning/daily-goal.js';
+import { getAchievementOverview } from '../learning/achievements.js';
+import { getActivityCalendar, getLearningCurve } from '../learning/activity.js';
+import { createHeatmapSvg, createLineChartSvg } from './charts.js';
 import { getMostLikelyToFail, isModelInitialized } from '../ml/prediction.js';
+import { getSignImageUrl } from '../utils/images.js';
 
-const IMAGE_BASE = 'https://www.transportstyrelsen.se/link/';
+function formatShortDate(date) {
+  return new Date(date).toLocaleDateString('sv-SE', { day: 'numeric', month: 'short' });
+}
+
+// Accuracy and response-time curves, optionally for a single category
+async function renderLearningCurves(container, category) {
+  const curve = await getLearningCurve(category || null);
+
+  container.innerHTML = `
+    <h4 class="curve-title">Träffsäkerhet</h4>
+    ${createLineChartSvg(curve.map(day => ({ key: day.key, value: day.accuracy })), {
+      yMax: 1,
+      formatValue: value => `${Math.round(value * 100)}%`,
+      label: 'Träffsäkerhet per dag'
+    })}
+    <h4 class="curve-title">Genomsnittlig svarstid</h4>
+    ${createLineChartSvg(curve.map(day => ({ key: day.key, value: day.avgResponseTime / 1000 })), {
+      formatValue: value => `${value.toFixed(1)} s`,
+      label: 'Genomsnittlig svarstid per dag'
+    })}
+  `;
+}
+
+function renderProjection(label, date, unreachable) {
+  if (unreachable > 0) return `<li>${label}: ${unreachable} märken når inte dit än</li>`;
+  return `<li>${label}: tidigast <strong>${formatShortDate(date)}</strong></li>`;
+}
 
 export async function renderDashboard(container, signData, callbacks) {
   container.innerHTML = '<div class="loading-spinner">Laddar statistik...</div>';
 
+  const projectedCategories = state.selectedCategories.length > 0
+    ? state.selectedCategories
+    : Object.keys(signData);
+
   try {
-    const [summary, recommendations, categoryProgress, weakSigns] = await Promise.all([
+    const [summary, recommendations, categoryProgress, weakSigns, exams, forecast, projection, plan, directionStats, leeches, achievements, activity] = await Promise.all([
       getDashboardSummary(signData),
       getPersonalizedRecommendations(signData),
       getCategoryProgress(signData),
-      getWeakSignsWithDetails(signData, 6)
+      getWeakSignsWithDetails(signData, 6),
+      getExamHistory(10),
+      getReviewForecast(30),
+      getMasteryProjection(signData, projectedCategories),
+      getStudyPlan(signData),
+      getDirectionStats(),
+      getLeeches(signData),
+      getAchievementOverview(signData),
+      getActivityCalendar(182),
+      loadConfusionModel()
     ]);
 
+    const { levelInfo, badges } = achievements;
+    const unlockedCount = badges.filter(badge => badge.unlockedAt).length;
+
+    const allSigns = Object.entries(signData).flatMap(([catKey, category]) =>
+      category.signs.map(sign => ({ ...sign, category: catKey }))
+    );
+
+    const forecastMax = Math.max(1, ...forecast.map(day => day.count));
+    const weekLoad = forecast.slice(0, 7).reduce((sum, day) => sum + day.count, 0);
+    const activeDays = activity.filter(day => day.count > 0).length;
+
     // Get ML predictions if model is ready
     let mlPredictions = [];
     if (isModelInitialized()) {
@@ -44,10 +105,18 @@ export async function renderDashboard(container, signData, callbacks) {
           <div class="stat-card">
             <div class="stat-card-value">${summary.accuracy}%</div>
             <div class="stat-card-label">Träffsäkerhet</div>
+            <div class="stat-card-sub">
+              ${summary.totalQuizzes} förhör${summary.abortedQuizzes > 0 ? ` · ${summary.abortedQuizzes} avbrutna` : ''}
+            </div>
           </div>
           <div class="stat-card accent">
             <div class="stat-card-value">${summary.streak}</div>
             <div class="stat-card-label">Dagars streak</div>
+            ${summary.freezesAvailable > 0 ? `
+              <div class="stat-card-sub" title="Räddar streaken om du missar en dag. Du får en för varje ${STREAK_FREEZE_EARN_DAYS} dagar i rad.">
+                ❄️ ${summary.freezesAvailable} ${summary.freezesAvailable === 1 ? 'frysning' : 'frysningar'}
+              </div>
+            ` : ''}
           </div>
           <div class="stat-card">
             <div class="stat-card-value">${summary.masteredSigns}</div>
@@ -65,6 +134,52 @@ export async function renderDashboard(container, signData, callbacks) {
           </div>
         </div>
 
+        <div class="dashboard-section">
+          <h3>Nivå ${levelInfo.level}</h3>
+          <div class="mastery-bar-label">
+            <span>${levelInfo.levelXp} / ${levelInfo.levelSize} XP till nästa nivå</span>
+            <span>${levelInfo.xp} XP totalt</span>
+          </div>
+          <div class="mastery-bar-track">
+            <div class="mastery-bar-fill" style="width: ${levelInfo.progress * 100}%"></div>
+          </div>
+          <h4 class="badges-heading">Utmärkelser ${unlockedCount}/${badges.length}</h4>
+          <div class="badge-grid">
+            ${badges.map(badge => `
+              <div class="badge ${badge.unlockedAt ? 'unlocked' : ''}"
+                   title="${badge.description}${badge.unlockedAt ? ` – ${formatShortDate(badge.unlockedAt)}` : ''}">
+                <span class="badge-icon">${badge.icon}</span>
+                <span class="badge-title">${badge.title}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="dashboard-section">
+          <h3>Dagens plan</h3>
+          <p class="section-desc">
+            ${plan.hasExamDate
+              ? `${plan.daysLeft} dagar kvar till provet ${formatShortDate(plan.examDate)}. Målet är att minnas minst ${Math.round(plan.retentionTarget * 100)}% av märkena på provdagen.`
+              : 'Ange datum för teoriprovet i inställningarna så räcker planen till alla märken.'}
+          </p>
+          <div class="plan-items">
+            <div class="plan-item">
+              <span class="plan-item-value">${plan.newDone}/${plan.newToday}</span>
+              <span class="plan-item-label">nya märken</span>
+            </div>
+            <div class="plan-item">
+              <span class="plan-item-value">${plan.reviewsRemaining}</span>
+              <span class="plan-item-label">repetitioner kvar</span>
+            </div>
+            <div class="plan-item">
+              <span class="plan-item-value">${plan.unseen}</span>
+              <span class="plan-item-label">aldrig sedda</span>
+            </div>
+          </div>
+          ${plan.complete ? '<p class="exam-chart-caption">Dagens plan är klar!</p>' : ''}
+          ${plan.intensive ? '<p class="exam-chart-caption">Planen är intensiv – öva flera gånger om dagen för att hinna.</p>' : ''}
+        </div>
+
         ${recommendations.length > 0 ? `
           <div class="dashboard-section">
             <h3>Rekommendationer</h3>
@@ -104,13 +219,85 @@ export async function renderDashboard(container, signData, callbacks) {
           </div>
         </div>
 
+        <div class="dashboard-section">
+          <h3>Kommande repetitioner</h3>
+          <div class="forecast-chart">
+            ${forecast.map((day, i) => `
+              <div class="forecast-day" title="${formatShortDate(day.date)}: ${day.count} märken">
+                <div class="forecast-bar ${i === 0 ? 'today' : ''}" style="height: ${(day.count / forecastMax) * 100}%"></div>
+              </div>
+            `).join('')}
+          </div>
+          <div class="forecast-axis">
+            <span>Idag</span>
+            <span>${formatShortDate(forecast[forecast.length - 1].date)}</span>
+          </div>
+          <p class="exam-chart-caption">
+            ${forecast[0].count} idag, ${weekLoad} de kommande 7 dagarna
+          </p>
+          ${projection.totalSigns > 0 ? `
+            <ul class="projection-list">
+              ${renderProjection('Alla Kunnig', projection.proficientDate, projection.unreachable.proficient)}
+              ${renderProjection('Alla Mästare', projection.masterDate, projection.unreachable.master)}
+            </ul>
+            <p class="exam-chart-caption">
+              ${projection.totalSigns} märken i valda kategorier. Förutsätter rätt svar vid varje repetition
+              ${projection.newSigns > 0 ? ` och ${NEW_SIGNS_PER_DAY} nya märken per dag` : ''}.
+            </p>
+          ` : ''}
+        </div>
+
+        <div class="dashboard-section">
+          <h3>Aktivitet</h3>
+          <div class="heatmap-wrapper">
+            ${createHeatmapSvg(activity)}
+          </div>
+          <p class="exam-chart-caption">
+            ${activeDays} aktiva dagar det senaste halvåret
+          </p>
+        </div>
+
+        <div class="dashboard-section">
+          <div class="curve-header">
+            <h3>Utveckling</h3>
+            <select id="curve-category" aria-label="Kategori">
+              <option value="">Alla kategorier</option>
+              ${Object.entries(signData).map(([key, cat]) => `
+                <option value="${key}">${cat.name}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div id="learning-curves" class="learning-curves"></div>
+        </div>
+
+        ${directionStats.some(dir => dir.totalAttempts > 0) ? `
+          <div class="dashboard-section">
+            <h3>Träffsäkerhet per riktning</h3>
+            <div class="direction-stats">
+              ${directionStats.map(dir => `
+                <div class="direction-stat">
+                  <div class="category-progress-header">
+                    <span class="category-progress-name">${dir.label}</span>
+                    <span class="category-progress-stats">
+                      ${dir.totalAttempts > 0 ? `${Math.round(dir.accuracy * 100)}% · ${dir.studied} märken` : 'Inte övat än'}
+                    </span>
+                  </div>
+                  <div class="category-progress-bar">
+                    <div class="category-progress-fill" style="width: ${dir.accuracy * 100}%; background: var(--primary)"></div>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
+
         ${weakSigns.length > 0 ? `
           <div class="dashboard-section">
             <h3>Svagaste märken</h3>
             <div class="weak-signs-grid">
               ${weakSigns.map(sign => `
                 <div class="weak-sign-card">
-                  <img src="${IMAGE_BASE}${sign.img}.aspx" alt="${sign.name}">
+                  <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}">
                   <div class="weak-sign-info">
                     <div class="weak-sign-name">${sign.name}</div>
                     <div class="weak-sign-accuracy" style="color: ${sign.mastery.color}">
@@ -124,6 +311,51 @@ export async function renderDashboard(container, signData, callbacks) {
           </div>
         ` : ''}
 
+        ${leeches.length > 0 ? `
+          <div class="dashboard-section">
+            <h3>Envisa märken</h3>
+            <p class="section-desc">Märken du har lärt dig men glömt många gånger. Jämför dem med märkena du blandar ihop dem med.</p>
+            <div class="leech-list">
+              ${leeches.map(sign => `
+                <div class="leech-item ${sign.suspended ? 'suspended' : ''}">
+                  <div class="leech-row">
+                    <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}">
+                    <div class="leech-info">
+                      <div class="leech-name">${sign.name}</div>
+                      <div class="leech-meta">Glömt ${sign.lapses} gånger${sign.suspended ? ' · pausat' : ''}</div>
+                    </div>
+                    <button class="btn btn-small btn-secondary" data-compare="${sign.id}">Jämför</button>
+                    <button class="btn btn-small btn-secondary" data-suspend="${sign.id}" data-suspended="${sign.suspended}">
+                      ${sign.suspended ? 'Återuppta' : 'Pausa'}
+                    </button>
+                  </div>
+                  <div class="leech-compare" data-compare-for="${sign.id}" hidden>
+                    ${createComparison(getComparisonSigns(sign, allSigns))}
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+            <button class="btn btn-secondary" id="practice-leeches">Öva envisa märken</button>
+          </div>
+        ` : ''}
+
+        ${exams.length > 0 ? `
+          <div class="dashboard-section">
+            <h3>Provresultat</h3>
+            <div class="exam-chart">
+              <div class="exam-chart-threshold" style="bottom: ${state.examPassThreshold}%"></div>
+              ${exams.map(exam => `
+                <div class="exam-bar ${exam.passed ? 'passed' : ''}"
+                     style="height: ${Math.max(2, exam.percentage)}%"
+                     title="${new Date(exam.date).toLocaleDateString('sv-SE')}: ${exam.percentage}%"></div>
+              `).join('')}
+            </div>
+            <p class="exam-chart-caption">
+              ${exams.filter(e => e.passed).length} av ${exams.length} senaste prov godkända
+            </p>
+          </div>
+        ` : ''}
+
         ${mlPredictions.length > 0 ? `
           <div class="dashboard-section ml-section">
             <h3>AI-rekommendationer</h3>
@@ -131,7 +363,7 @@ export async function renderDashboard(container, signData, callbacks) {
             <div class="ml-predictions">
               ${mlPredictions.map(pred => `
                 <div class="ml-prediction-card">
-                  <img src="${IMAGE_BASE}${pred.img}.aspx" alt="${pred.name}">
+                  <img src="${getSignImageUrl(pred.img)}" alt="${pred.name}">
                   <div class="ml-prediction-info">
                     <div class="ml-prediction-name">${pred.name}</div>
                     <div class="ml-prediction-prob">${Math.round(pred.failProbability * 100)}% risk</div>
@@ -149,6 +381,12 @@ export async function renderDashboard(container, signData, callbacks) {
       </div>
     `;
 
+    const curvesEl = container.querySelector('#learning-curves');
+    await renderLearningCurves(curvesEl, '');
+    container.querySelector('#curve-category')?.addEventListener('change', (e) => {
+      renderLearningCurves(curvesEl, e.target.value);
+    });
+
     // Bind events
     container.querySelector('#back-from-dashboard')?.addEventListener('click', () => {
       callbacks.onBack?.();
@@ -158,6 +396,26 @@ export async function renderDashboard(container, signData, callbacks) {
       callbacks.onStartQuiz?.('weakest');
     });
 
+    container.querySelector('#practice-leeches')?.addEventListener('click', () => {
+      callbacks.onStartQuiz?.('leeches');
+    });
+
+    container.querySelectorAll('[data-compare]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const panel = container.querySelector(`[data-compare-for="${btn.dataset.compare}"]`);
+        if (panel) panel.hidden = !panel.hidden;
+      });
+    });
+
+    container.querySelectorAll('[data-suspend]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const suspend = btn.dataset.suspended !== 'true';
+        await setSuspended(btn.dataset.suspend, suspend);
+        showToast(suspend ? 'Märket är pausat från vanliga förhör' : 'Märket är tillbaka i rotationen', 'info');
+        renderDashboard(container, signData, callbacks);
+      });
+    });
+
     container.querySelector('#quick-practice')?.addEventListener('click', () => {
       callbacks.onStartQuiz?.('standard');
     });
@@ -191,10 +449,20 @@ export async function renderDashboard(container, signData, callbacks) {
 // Create mini stats widget for start screen
 export async function createMiniStats(signData) {
   try {
-    const summary = await getDashboardSummary(signData);
+    const [summary, goal] = await Promise.all([
+      getDashboardSummary(signData),
+      getDailyGoalProgress()
+    ]);
 
     return `
       <div class="mini-stats">
+        <div class="mini-stat daily-goal ${goal.met ? 'met' : ''}">
+          <span class="mini-stat-value">${goal.met ? '✓' : `${goal.done}/${goal.target}`}</span>
+          <span class="mini-stat-label">${goal.type === 'due' ? 'repetitioner idag' : 'svar idag'}</span>
+          <div class="daily-goal-track">
+            <div class="daily-goal-fill" style="width: ${goal.target > 0 ? (goal.done / goal.target) * 100 : 100}%"></div>
+          </div>
+        </div>
         <div class="mini-stat">
           <span class="mini-stat-value">${summary.studiedSigns}/${summary.totalSigns}</span>
           <span class="mini-stat-label">märken</span>
@@ -0,0 +1,116 @@
+// Flashcard study screen
+
+import { Quality } from '../learning/sm2.js';
+import { gradeFlashcard } from '../learning/flashcards.js';
+import { createSessionId } from '../state.js';
+import { getSignImageUrl } from '../utils/images.js';
+
+const QUALITY_BUTTONS = [
+  { quality: Quality.COMPLETE_BLACKOUT, label: 'Ingen aning', color: '#ff3b30' },
+  { quality: Quality.INCORRECT, label: 'Fel, men bekant', color: '#ff6347' },
+  { quality: Quality.INCORRECT_EASY_RECALL, label: 'Fel, men nära', color: '#ff9500' },
+  { quality: Quality.CORRECT_DIFFICULTY, label: 'Rätt med möda', color: '#ffcc00' },
+  { quality: Quality.CORRECT, label: 'Rätt efter tvekan', color: '#00d4aa' },
+  { quality: Quality.PERFECT, label: 'Perfekt', color: '#34c759' }
+];
+
+export function renderFlashcards(container, deck, callbacks) {
+  const sessionId = createSessionId();
+  let index = 0;
+  let shownAt = Date.now();
+  const ratings = [];
+
+  function renderCard() {
+    const sign = deck[index];
+
+    container.innerHTML = `
+      <div class="flashcards">
+        <div class="dashboard-header">
+          <h2>Lär dig</h2>
+          <button class="ghost-btn" id="back-from-flashcards">Avsluta</button>
+        </div>
+        <p class="flashcard-counter">${index + 1} / ${deck.length}</p>
+        <button class="flashcard" id="flashcard" type="button" aria-label="Vänd kortet">
+          <div class="flashcard-inner">
+            <div class="flashcard-face flashcard-front">
+              <img src="${getSignImageUrl(sign.img)}" alt="Vägmärke">
+              <span class="flashcard-hint">Tryck för att vända</span>
+            </div>
+            <div class="flashcard-face flashcard-back">
+              <img src="${getSignImageUrl(sign.img)}" alt="${sign.name}">
+              <div class="flashcard-name">${sign.name}</div>
+              <div class="flashcard-meta">${sign.id} · ${sign.categoryName}</div>
+              ${sign.description ? `<p class="flashcard-description">${sign.description}</p>` : ''}
+            </div>
+          </div>
+        </button>
+        <div class="quality-buttons" id="quality-buttons" hidden>
+          <p class="section-desc">Hur väl kunde du märket?</p>
+          ${QUALITY_BUTTONS.map(btn => `
+            <button class="quality-btn" data-quality="${btn.quality}" style="--quality-color: ${btn.color}">
+              <span class="quality-value">${btn.quality}</span>
+              <span class="quality-label">${btn.label}</span>
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    shownAt = Date.now();
+
+    const card = container.querySelector('#flashcard');
+    const buttons = container.querySelector('#quality-buttons');
+
+    card?.addEventListener('click', () => {
+      card.classList.add('flipped');
+      if (buttons) buttons.hidden = false;
+    });
+
+    container.querySelectorAll('.quality-btn').forEach(btn => {
+      btn.addEventListener('click', () => handleGrade(sign, Number(btn.dataset.quality)));
+    });
+
+    container.querySelector('#back-from-flashcards')?.addEventListener('click', () => {
+      callbacks.onBack?.();
+    });
+  }
+
+  async function handleGrade(sign, quality) {
+    container.querySelectorAll('.quality-btn').forEach(btn => { btn.disabled = true; });
+
+    await gradeFlashcard(sign, quality, Date.now() - shownAt, sessionId);
+    ratings.push(quality);
+
+    index++;
+    if (index < deck.length) {
+      renderCard();
+    } else {
+      renderSummary();
+    }
+  }
+
+  function renderSummary() {
+    const known = ratings.filter(q => q >= Quality.CORRECT_DIFFICULTY).length;
+
+    container.innerHTML = `
+      <div class="flashcards results-card">
+        <h2>Bra jobbat!</h2>
+        <p class="score-label">Du gick igenom ${ratings.length} märken och kunde ${known} av dem.</p>
+        <div class="btn-group">
+          <button class="btn" id="flashcards-quiz">Testa dig med ett förhör</button>
+          <button class="btn btn-secondary" id="back-from-flashcards">Tillbaka</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('#flashcards-quiz')?.addEventListener('click', () => {
+      callbacks.onStartQuiz?.();
+    });
+
+    container.querySelector('#back-from-flashcards')?.addEventListener('click', () => {
+      callbacks.onBack?.();
+    });
+  }
+
+  renderCard();
+}
@@ -0,0 +1,143 @@
+// Quiz history screen - past sessions and every question asked in them
+
+import { getQuizSessions } from '../utils/storage.js';
+import { createQuestionReview } from './components.js';
+
+const MODE_LABELS = {
+  standard: 'Standard',
+  spaced: 'Spaced Repetition',
+  weakest: 'Svagaste märken',
+  missed: 'Senast missade',
+  adaptive: 'Adaptiv',
+  leeches: 'Envisa märken',
+  exam: 'Provläge'
+};
+
+function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatSessionDate(iso) {
+  return new Date(iso).toLocaleString('sv-SE', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function formatCategories(categories, signData) {
+  if (categories.length === Object.keys(signData).length) return 'Alla kategorier';
+  return categories.map(key => signData[key]?.name || key).join(', ');
+}
+
+function renderSessionBadges(session) {
+  if (session.aborted) return '<span class="history-badge">Avbrutet</span>';
+  if (session.mode !== 'exam') return '';
+  return session.passed
+    ? '<span class="history-badge passed">Godkänd</span>'
+    : '<span class="history-badge failed">Underkänd</span>';
+}
+
+export async function renderHistory(container, signData, callbacks) {
+  container.innerHTML = '<div class="loading-spinner">Laddar historik...</div>';
+
+  const signsById = new Map(
+    Object.values(signData).flatMap(category => category.signs).map(sign => [sign.id, sign])
+  );
+
+  let sessions = [];
+  try {
+    sessions = await getQuizSessions(100);
+  } catch (error) {
+    console.error('History error:', error);
+  }
+
+  function renderList() {
+    container.innerHTML = `
+      <div class="history">
+        <div class="dashboard-header">
+          <h2>Historik</h2>
+          <button class="ghost-btn" id="back-from-history">Tillbaka</button>
+        </div>
+
+        ${sessions.length === 0 ? `
+          <p class="section-desc">Inga förhör ännu. Dina avslutade förhör visas här.</p>
+        ` : `
+          <div class="history-list">
+            ${sessions.map((session, index) => `
+              <button class="history-item" type="button" data-session="${index}">
+                <div class="history-item-header">
+                  <span class="history-item-date">${formatSessionDate(session.date)}</span>
+                  <span class="history-item-score">${session.correctAnswers}/${session.totalQuestions} · ${session.percentage}%</span>
+                </div>
+                <div class="history-item-meta">
+                  ${MODE_LABELS[session.mode] || session.mode} · ${formatDuration(session.duration)}
+                  ${renderSessionBadges(session)}
+                </div>
+                <div class="history-item-categories">${formatCategories(session.categories || [], signData)}</div>
+              </button>
+            `).join('')}
+          </div>
+        `}
+      </div>
+    `;
+
+    container.querySelector('#back-from-history')?.addEventListener('click', () => {
+      callbacks.onBack?.();
+    });
+
+    container.querySelectorAll('[data-session]').forEach(item => {
+      item.addEventListener('click', () => renderDetail(sessions[Number(item.dataset.session)]));
+    });
+  }
+
+  function renderDetail(session) {
+    const questions = session.questions || [];
+
+    container.innerHTML = `
+      <div class="history">
+        <div class="dashboard-header">
+          <h2>${formatSessionDate(session.date)}</h2>
+          <button class="ghost-btn" id="back-to-history">Historik</button>
+        </div>
+
+        <div class="dashboard-section">
+          <p class="history-detail-summary">
+            <strong>${session.correctAnswers}/${session.totalQuestions} rätt (${session.percentage}%)</strong>
+            ${renderSessionBadges(session)}
+          </p>
+          <p class="section-desc">
+            ${MODE_LABELS[session.mode] || session.mode} · ${formatDuration(session.duration)} ·
+            ${formatCategories(session.categories || [], signData)}
+          </p>
+          ${questions.length > 0 ? `
+            <button class="btn" id="repeat-session" type="button">Gör om exakt detta förhör</button>
+          ` : ''}
+        </div>
+
+        ${questions.length > 0 ? `
+          <div class="quiz-review-list">
+            ${questions.map((question, index) => createQuestionReview(question, index, signsById)).join('')}
+          </div>
+        ` : `
+          <div class="dashboard-section">
+            <p class="section-desc">Frågorna sparades inte för det här förhöret.</p>
+            ${session.wrongAnswers?.length > 0 ? `
+              <p>Missade: ${session.wrongAnswers.map(sign => sign.name).join(', ')}</p>
+            ` : ''}
+          </div>
+        `}
+      </div>
+    `;
+
+    container.querySelector('#back-to-history')?.addEventListener('click', renderList);
+
+    container.querySelector('#repeat-session')?.addEventListener('click', () => {
+      callbacks.onRepeat?.(session);
+    });
+  }
+
+  renderList();
+}
@@ -0,0 +1,130 @@
+// Date service - study days, day boundaries and streaks.
+// A study day runs from the configured day-start hour to the same hour the next
+// calendar day, so practice at 01:00 counts for the evening before.
+
+import { state } from '../state.js';
+
+export const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Every this many consecutive days earns a streak freeze, up to MAX_STREAK_FREEZES
+export const STREAK_FREEZE_EARN_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+
+export function getDayStartHour() {
+  return state.dayStartHour;
+}
+
+export function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// The moment the study day containing `date` began. The service worker has no
+// settings of its own and passes the day-start hour the page sent it.
+export function startOfStudyDay(date = new Date(), dayStartHour = getDayStartHour()) {
+  const start = new Date(date);
+  if (start.getHours() < dayStartHour) {
+    start.setDate(start.getDate() - 1);
+  }
+  start.setHours(dayStartHour, 0, 0, 0);
+  return start;
+}
+
+export function endOfStudyDay(date = new Date()) {
+  return addDays(startOfStudyDay(date), 1);
+}
+
+// YYYY-MM-DD of the study day containing `date`
+export function studyDayKey(date = new Date()) {
+  const start = startOfStudyDay(date);
+  const month = String(start.getMonth() + 1).padStart(2, '0');
+  const day = String(start.getDate()).padStart(2, '0');
+  return `${start.getFullYear()}-${month}-${day}`;
+}
+
+// Local midnight of a YYYY-MM-DD key
+export function parseDayKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+export function shiftDayKey(key, days) {
+  const date = addDays(parseDayKey(key), days);
+  date.setHours(12);
+  return studyDayKey(date);
+}
+
+// Whole days between two YYYY-MM-DD keys (negative if `toKey` is earlier)
+export function daysBetweenKeys(fromKey, toKey) {
+  return Math.round((parseDayKey(toKey) - parseDayKey(fromKey)) / DAY_MS);
+}
+
+// Whole study days from `from` to `to`
+export function studyDaysBetween(from, to) {
+  return daysBetweenKeys(studyDayKey(from), studyDayKey(to));
+}
+
+// When the study day of a YYYY-MM-DD key begins, e.g. for a stored exam date
+export function startOfDayKey(key) {
+  const start = parseDayKey(key);
+  if (start) start.setHours(getDayStartHour(), 0, 0, 0);
+  return start;
+}
+
+// Consecutive study days with practice, ending today or yesterday.
+// Frozen days keep the streak alive without adding to it.
+export function calculateStreak(practiceDays, frozenDays = [], now = new Date()) {
+  const practised = new Set(practiceDays);
+  const frozen = new Set(frozenDays);
+  const today = studyDayKey(now);
+
+  let day = practised.has(today) ? today : shiftDayKey(today, -1);
+  let streak = 0;
+
+  while (practised.has(day) || frozen.has(day)) {
+    if (practised.has(day)) streak++;
+    day = shiftDayKey(day, -1);
+  }
+
+  return streak;
+}
+
+// Spend freezes on the days missed since the last practice, and earn new ones.
+// Returns the updated freeze state { available, frozenDays, lastEarnedDay }.
+export function applyStreakFreezes(practiceDays, freezeState, now = new Date()) {
+  const next = {
+    available: freezeState?.available || 0,
+    frozenDays: [...(freezeState?.frozenDays || [])],
+    lastEarnedDay: freezeState?.lastEarnedDay || null
+  };
+
+  const practised = new Set(practiceDays);
+  const today = studyDayKey(now);
+  const yesterday = shiftDayKey(today, -1);
+
+  // Collect the unbroken run of missed days up to yesterday
+  const missed = [];
+  let day = yesterday;
+  while (!practised.has(day) && !next.frozenDays.includes(day) && missed.length <= next.available) {
+    missed.push(day);
+    day = shiftDayKey(day, -1);
+  }
+
+  // Freezes only bridge a gap back to an earlier practice day, and only if they cover all of it
+  const bridgesStreak = practised.has(day) || next.frozenDays.includes(day);
+  if (missed.length > 0 && bridgesStreak && missed.length <= next.available) {
+    next.available -= missed.length;
+    next.frozenDays.push(...missed);
+  }
+
+  const streak = calculateStreak(practiceDays, next.frozenDays, now);
+  const streakEnd = practised.has(today) ? today : yesterday;
+  if (streak > 0 && streak % STREAK_FREEZE_EARN_DAYS === 0 && next.lastEarnedDay !== streakEnd) {
+    next.available = Math.min(MAX_STREAK_FREEZES, next.available + 1);
+    next.lastEarnedDay = streakEnd;
+  }
+
+  return next;
+}
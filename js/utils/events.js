@@ -0,0 +1,20 @@
+// App-wide events - lets features react to learning activity without the
+// quiz engine or flashcards knowing about them
+
+export const AppEvent = {
+  ANSWER_RECORDED: 'answer-recorded', // detail: { event, progress }
+  QUIZ_FINISHED: 'quiz-finished' // detail: { session }
+};
+
+const bus = new EventTarget();
+
+export function emit(type, detail) {
+  bus.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// Subscribe to an event; returns a function that unsubscribes
+export function on(type, handler) {
+  const listener = e => handler(e.detail);
+  bus.addEventListener(type, listener);
+  return () => bus.removeEventListener(type, listener);
+}
@@ -0,0 +1,21 @@
+// Sign image resolver - local copies under assets/signs first, Transportstyrelsen as fallback
+
+const REMOTE_IMAGE_BASE = 'https://www.transportstyrelsen.se/link/';
+
+// img hash -> local path recorded by the scraper. Signs only get an `image` field
+// once `npm run scrape` has downloaded them; until then every sign, including
+// all of the bundled data, resolves to the remote URL.
+const localImages = new Map();
+
+export function registerSignImages(signData) {
+  localImages.clear();
+  Object.values(signData).forEach(category => {
+    category.signs.forEach(sign => {
+      if (sign.image) localImages.set(sign.img, sign.image);
+    });
+  });
+}
+
+export function getSignImageUrl(imgHash) {
+  return localImages.get(imgHash) || `${REMOTE_IMAGE_BASE}${imgHash}.aspx`;
+}
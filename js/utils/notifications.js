@@ -0,0 +1,86 @@
+// Review reminders - the service worker shows the notification, either from
+// periodic background sync or when the page's fallback timer asks it to
+
+import { state } from '../state.js';
+
+const REMINDER_SYNC_TAG = 'due-reminder';
+const REMINDER_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+let fallbackTimer = null;
+
+export function supportsReminders() {
+  return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+export async function requestReminderPermission() {
+  if (!supportsReminders()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+}
+
+async function postToServiceWorker(message) {
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage(message);
+  return registration;
+}
+
+async function registerPeriodicSync(registration) {
+  if (!('periodicSync' in registration)) return false;
+
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return false;
+    await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL_MS });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function unregisterPeriodicSync(registration) {
+  if (!('periodicSync' in registration)) return;
+  await registration.periodicSync.unregister(REMINDER_SYNC_TAG).catch(() => {});
+}
+
+// Milliseconds until the reminder hour today, or until the next check if it has passed
+function msUntilReminder(now = new Date()) {
+  const reminderAt = new Date(now);
+  reminderAt.setHours(state.reminderHour, 0, 0, 0);
+  return reminderAt > now ? reminderAt - now : REMINDER_SYNC_INTERVAL_MS;
+}
+
+// While the app is open, ask the worker to check on a timer
+function scheduleFallbackReminder() {
+  clearTimeout(fallbackTimer);
+  fallbackTimer = setTimeout(async () => {
+    await postToServiceWorker({ type: 'check-reminder' }).catch(() => {});
+    scheduleFallbackReminder();
+  }, msUntilReminder());
+}
+
+// Hand the current reminder settings to the service worker and (re)arm the checks
+export async function syncReminders() {
+  if (!supportsReminders()) return;
+
+  const enabled = state.remindersEnabled && Notification.permission === 'granted';
+  const registration = await postToServiceWorker({
+    type: 'reminder-settings',
+    settings: {
+      enabled,
+      reminderHour: state.reminderHour,
+      dayStartHour: state.dayStartHour,
+      dailyGoal: state.dailyGoal
+    }
+  });
+
+  if (!enabled) {
+    clearTimeout(fallbackTimer);
+    await unregisterPeriodicSync(registration);
+    return;
+  }
+
+  if (!(await registerPeriodicSync(registration))) {
+    scheduleFallbackReminder();
+  }
+}
@@ -0,0 +1,190 @@
+// Sign data validation - shared by the app at load time and `npm run validate`
+
+// Formal schema for data/signs.json (a JSON Schema subset, see checkSchema)
+const CATEGORY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'code', 'icon', 'color', 'signs'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    code: { type: 'string', minLength: 1 },
+    icon: { type: 'string', minLength: 1 },
+    color: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+    signs: { type: 'array', minItems: 1 }
+  }
+};
+
+const SIGN_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'difficulty'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    img: { type: 'string' },
+    image: { type: 'string', pattern: '^assets/signs/[0-9a-f]{16}\\.(png|svg|jpg|gif|webp)$' },
+    difficulty: { type: 'integer', minimum: 1, maximum: 5 },
+    description: { type: 'string' }
+  }
+};
+
+const IMAGE_HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+// Ids made up by extractSignCode() when no real sign code was found
+const PLACEHOLDER_ID_PATTERN = /^[A-Z0-9?]+-[0-9A-F]{6}$/;
+
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return typeof value === type;
+}
+
+// Validate a value against a schema, pushing one message per violation
+function checkSchema(value, schema, path, messages) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    messages.push(`${path}: ska vara ${schema.type}`);
+    return;
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    messages.push(`${path}: får inte vara tom`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    messages.push(`${path}: matchar inte ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    messages.push(`${path}: minst ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    messages.push(`${path}: högst ${schema.maximum}`);
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    messages.push(`${path}: minst ${schema.minItems} element`);
+  }
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) messages.push(`${path}.${key}: saknas`);
+  });
+
+  Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+    if (value[key] !== undefined) checkSchema(value[key], propSchema, `${path}.${key}`, messages);
+  });
+}
+
+// True for ids that are derived from the image hash rather than a real sign code
+export function isPlaceholderId(sign) {
+  if (PLACEHOLDER_ID_PATTERN.test(sign.id)) return true;
+  return typeof sign.img === 'string' && sign.img.toUpperCase().startsWith(sign.id);
+}
+
+function issue(severity, code, message, category = null, index = null) {
+  return { severity, code, message, category, index };
+}
+
+// Run every check. Errors make an entry unusable, warnings are worth fixing in the scraper.
+export function validateSignData(data) {
+  const issues = [];
+
+  if (!matchesType(data, 'object')) {
+    issues.push(issue('error', 'schema', 'Datafilen ska vara ett objekt med kategorier'));
+    return issues;
+  }
+
+  const byId = new Map();
+  const byName = new Map();
+
+  Object.entries(data).forEach(([key, category]) => {
+    const categoryMessages = [];
+    checkSchema(category, CATEGORY_SCHEMA, key, categoryMessages);
+    categoryMessages.forEach(message => issues.push(issue('error', 'schema', message, key)));
+
+    if (!matchesType(category, 'object') || !Array.isArray(category.signs)) return;
+
+    if (category.code === '?') {
+      issues.push(issue('warning', 'unknown-category-code', `${key}: kategorin saknar kod ("?")`, key));
+    }
+
+    category.signs.forEach((sign, index) => {
+      const path = `${key}.signs[${index}]`;
+      const signMessages = [];
+      checkSchema(sign, SIGN_SCHEMA, path, signMessages);
+      signMessages.forEach(message => issues.push(issue('error', 'schema', message, key, index)));
+      if (!matchesType(sign, 'object') || typeof sign.id !== 'string') return;
+
+      if (!sign.img) {
+        issues.push(issue('error', 'missing-image', `${path} (${sign.id}): bild-hash saknas`, key, index));
+      } else if (!IMAGE_HASH_PATTERN.test(sign.img)) {
+        issues.push(issue('error', 'missing-image', `${path} (${sign.id}): ogiltig bild-hash "${sign.img}"`, key, index));
+      }
+
+      if (isPlaceholderId(sign)) {
+        issues.push(issue('warning', 'placeholder-id', `${path}: "${sign.id}" är härlett från bild-hashen, inte en riktig märkeskod`, key, index));
+      }
+
+      if (!byId.has(sign.id)) byId.set(sign.id, []);
+      byId.get(sign.id).push({ key, index, sign });
+
+      if (typeof sign.name === 'string') {
+        const name = sign.name.trim().toLowerCase();
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push({ key, index, sign });
+      }
+    });
+  });
+
+  // Progress is keyed by sign id, so only one entry per id can be used.
+  // Keep the first entry with a real code and reject the rest.
+  byId.forEach((entries, id) => {
+    if (entries.length < 2) return;
+    const keep = entries.find(e => !isPlaceholderId(e.sign)) || entries[0];
+    entries.filter(e => e !== keep).forEach(e => {
+      issues.push(issue('error', 'duplicate-id',
+        `${e.key}.signs[${e.index}]: id "${id}" används redan i ${keep.key}`, e.key, e.index));
+    });
+  });
+
+  byName.forEach(entries => {
+    if (entries.length < 2) return;
+    const where = entries.map(e => `${e.sign.id} (${e.key})`).join(', ');
+    issues.push(issue('warning', 'duplicate-name', `"${entries[0].sign.name}" ger tvetydiga svarsalternativ: ${where}`));
+  });
+
+  return issues;
+}
+
+// Drop entries with errors so they never turn into broken questions
+export function sanitizeSignData(data) {
+  const issues = validateSignData(data);
+  const errors = issues.filter(i => i.severity === 'error');
+  const badCategories = new Set(errors.filter(i => i.category && i.index === null).map(i => i.category));
+  const badSigns = new Set(errors.filter(i => i.index !== null).map(i => `${i.category}/${i.index}`));
+
+  const clean = {};
+  const quarantined = [];
+
+  if (!matchesType(data, 'object')) {
+    return { data: clean, quarantined, issues };
+  }
+
+  Object.entries(data).forEach(([key, category]) => {
+    if (badCategories.has(key)) {
+      quarantined.push({ category: key, sign: null, issues: errors.filter(i => i.category === key) });
+      return;
+    }
+
+    const signs = category.signs.filter((sign, index) => {
+      if (!badSigns.has(`${key}/${index}`)) return true;
+      quarantined.push({
+        category: key,
+        sign,
+        issues: errors.filter(i => i.category === key && i.index === index)
+      });
+      return false;
+    });
+
+    if (signs.length > 0) {
+      clean[key] = { ...category, signs };
+    }
+  });
+
+  return { data: clean, quarantined, issues };
+}
@@ -1,7 +1,9 @@
 // IndexedDB storage layer for persistent data
 
-const DB_NAME = 'vagmarkesforhor-db';
-const DB_VERSION = 1;
+import { studyDayKey, calculateStreak, applyStreakFreezes } from './dates.js';
+
+export const DB_NAME = 'vagmarkesforhor-db';
+export const DB_VERSION = 5;
 
 let db = null;
 
@@ -9,11 +11,17 @@ const STORES = {
   SIGN_PROGRESS: 'signProgress',
   QUIZ_SESSIONS: 'quizSessions',
   CATEGORY_STATS: 'categoryStats',
-  ML_MODEL: 'mlModelData'
+  ML_MODEL: 'mlModelData',
+  ANSWER_EVENTS: 'answerEvents',
+  ACTIVE_QUIZ: 'activeQuiz',
+  META: 'meta',
+  ACHIEVEMENTS: 'achievements'
 };
 
 export { STORES };
 
+const STREAK_FREEZE_KEY = 'streakFreeze';
+
 export async function initDB() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
@@ -49,6 +57,29 @@ export async function initDB() {
       if (!database.objectStoreNames.contains(STORES.ML_MODEL)) {
         database.createObjectStore(STORES.ML_MODEL, { keyPath: 'key' });
       }
+
+      // Answer events store - one immutable record per answered question
+      if (!database.objectStoreNames.contains(STORES.ANSWER_EVENTS)) {
+        const eventStore = database.createObjectStore(STORES.ANSWER_EVENTS, { keyPath: 'id', autoIncrement: true });
+        eventStore.createIndex('signId', 'signId', { unique: false });
+        eventStore.createIndex('date', 'date', { unique: false });
+        eventStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+
+      // Active quiz store - checkpoint of an unfinished quiz for resuming
+      if (!database.objectStoreNames.contains(STORES.ACTIVE_QUIZ)) {
+        database.createObjectStore(STORES.ACTIVE_QUIZ, { keyPath: 'key' });
+      }
+
+      // Meta store - small key/value records such as applied data migrations
+      if (!database.objectStoreNames.contains(STORES.META)) {
+        database.createObjectStore(STORES.META, { keyPath: 'key' });
+      }
+
+      // Achievements store - unlocked badges by id
+      if (!database.objectStoreNames.contains(STORES.ACHIEVEMENTS)) {
+        database.createObjectStore(STORES.ACHIEVEMENTS, { keyPath: 'id' });
+      }
     };
   });
 }
@@ -72,6 +103,18 @@ export async function put(storeName, data) {
   });
 }
 
+// Insert only - fails if a record with the same key already exists
+export async function add(storeName, data) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const request = store.add(data);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 export async function get(storeName, key) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
@@ -94,6 +137,17 @@ export async function getAll(storeName) {
   });
 }
 
+export async function getAllByIndex(storeName, indexName, query) {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, 'readonly');
+    const index = tx.objectStore(storeName).index(indexName);
+    const request = index.getAll(query);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 export async function deleteRecord(storeName, key) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
@@ -154,14 +208,15 @@ export async function updateSignProgress(signId, category, isCorrect, responseTi
   return progress;
 }
 
-export async function getDueForReview(limit = 20) {
+// Progress records whose next review is at or before the given ISO date.
+// Ordering and limits are up to the scheduler (see learning/scheduler.js).
+export async function getProgressDueBy(isoDate, limit) {
   const database = await getDB();
   return new Promise((resolve, reject) => {
     const tx = database.transaction(STORES.SIGN_PROGRESS, 'readonly');
     const store = tx.objectStore(STORES.SIGN_PROGRESS);
     const index = store.index('nextReviewDate');
-    const now = new Date().toISOString();
-    const range = IDBKeyRange.upperBound(now);
+    const range = IDBKeyRange.upperBound(isoDate);
     const request = index.getAll(range, limit);
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
@@ -180,12 +235,65 @@ export async function getWeakestSigns(limit = 10) {
     .slice(0, limit);
 }
 
+// Practice days and the freeze state they lead to. Nothing is written here.
+// Any answer counts, quiz or flashcard, like for the daily goal.
+async function loadStreakState() {
+  const [sessions, answerDates, storedFreezeState] = await Promise.all([
+    getAll(STORES.QUIZ_SESSIONS),
+    getAnswerEventDates(),
+    getMeta(STREAK_FREEZE_KEY)
+  ]);
+
+  const practiceDays = [...new Set([
+    ...sessions.map(s => studyDayKey(new Date(s.date))),
+    ...answerDates.map(date => studyDayKey(new Date(date)))
+  ])];
+  return {
+    practiceDays,
+    storedFreezeState,
+    freezeState: applyStreakFreezes(practiceDays, storedFreezeState)
+  };
+}
+
+// Streak - the single implementation behind every streak shown in the app.
+// Aborted sessions still count as a day of practice. Freezes that would cover
+// the days missed are shown as spent, but only stored once practice is recorded.
+export async function getStreak() {
+  const { practiceDays, freezeState } = await loadStreakState();
+
+  return {
+    current: calculateStreak(practiceDays, freezeState.frozenDays),
+    practisedToday: practiceDays.includes(studyDayKey()),
+    freezesAvailable: freezeState.available
+  };
+}
+
+// Study day whose practice the stored freeze state already covers
+let streakFreezesUpdatedDay = null;
+
+// Spend and earn streak freezes for the practice recorded so far
+async function updateStreakFreezes() {
+  const { storedFreezeState, freezeState } = await loadStreakState();
+
+  if (JSON.stringify(freezeState) !== JSON.stringify(storedFreezeState)) {
+    await setMeta(STREAK_FREEZE_KEY, freezeState);
+  }
+  streakFreezesUpdatedDay = studyDayKey();
+}
+
 // Quiz session operations
 export async function saveQuizSession(session) {
-  return put(STORES.QUIZ_SESSIONS, {
+  const id = await put(STORES.QUIZ_SESSIONS, {
     ...session,
     date: new Date().toISOString()
   });
+  await updateStreakFreezes();
+  return id;
+}
+
+// Aborted sessions count as practice (streaks, missed signs) but not as results
+export function isCompletedSession(session) {
+  return !session.aborted;
 }
 
 export async function getQuizSessions(limit = 50) {
@@ -195,6 +303,82 @@ export async function getQuizSessions(limit = 50) {
     .slice(0, limit);
 }
 
+// Answer event operations - events are never updated once written
+export async function logAnswerEvent(event) {
+  const id = await add(STORES.ANSWER_EVENTS, {
+    ...event,
+    date: new Date().toISOString()
+  });
+  // Only the first answer of a study day can spend or earn streak freezes
+  if (streakFreezesUpdatedDay !== studyDayKey()) {
+    await updateStreakFreezes();
+  }
+  return id;
+}
+
+// Dates of every answer event, read from the date index without loading the events
+async function getAnswerEventDates() {
+  const database = await getDB();
+  return new Promise((resolve, reject) => {
+    const dates = [];
+    const request = database.transaction(STORES.ANSWER_EVENTS, 'readonly')
+      .objectStore(STORES.ANSWER_EVENTS)
+      .index('date')
+      .openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(dates);
+        return;
+      }
+      dates.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getAnswerEventsForSign(signId) {
+  return getAllByIndex(STORES.ANSWER_EVENTS, 'signId', signId);
+}
+
+export async function getAnswerEventsSince(isoDate) {
+  return getAllByIndex(STORES.ANSWER_EVENTS, 'date', IDBKeyRange.lowerBound(isoDate));
+}
+
+export async function getAnswerEventsForSession(sessionId) {
+  return getAllByIndex(STORES.ANSWER_EVENTS, 'sessionId', sessionId);
+}
+
+// Active quiz checkpoint operations
+const ACTIVE_QUIZ_KEY = 'current';
+
+export async function saveActiveQuiz(checkpoint) {
+  return put(STORES.ACTIVE_QUIZ, {
+    ...checkpoint,
+    key: ACTIVE_QUIZ_KEY,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export async function getActiveQuiz() {
+  return get(STORES.ACTIVE_QUIZ, ACTIVE_QUIZ_KEY);
+}
+
+export async function clearActiveQuiz() {
+  return deleteRecord(STORES.ACTIVE_QUIZ, ACTIVE_QUIZ_KEY);
+}
+
+// Meta operations
+export async function getMeta(key, fallback = null) {
+  const record = await get(STORES.META, key);
+  return record ? record.value : fallback;
+}
+
+export async function setMeta(key, value) {
+  return put(STORES.META, { key, value });
+}
+
 // Category stats operations
 export async function updateCategoryStats(categoryKey, correct, total) {
   let stats = await get(STORES.CATEGORY_STATS, categoryKey);
@@ -237,31 +421,15 @@ export async function getDashboardStats() {
   const correctAttempts = signProgress.reduce((sum, p) => sum + p.correctAttempts, 0);
   const overallAccuracy = totalAttempts > 0 ? correctAttempts / totalAttempts : 0;
 
-  // Calculate streak
-  const today = new Date().toDateString();
-  const yesterday = new Date(Date.now() - 86400000).toDateString();
-  let currentStreak = 0;
-
-  const sessionDates = [...new Set(sessions.map(s => new Date(s.date).toDateString()))];
-  sessionDates.sort((a, b) => new Date(b) - new Date(a));
-
-  if (sessionDates[0] === today || sessionDates[0] === yesterday) {
-    for (let i = 0; i < sessionDates.length; i++) {
-      const expected = new Date(Date.now() - i * 86400000).toDateString();
-      if (sessionDates[i] === expected) {
-        currentStreak++;
-      } else {
-        break;
-      }
-    }
-  }
+  const { current: currentStreak } = await getStreak();
 
   return {
     totalSigns,
     masteredSigns,
     overallAccuracy,
     currentStreak,
-    totalQuizzes: sessions.length,
+    totalQuizzes: sessions.filter(isCompletedSession).length,
+    abortedQuizzes: sessions.filter(s => !isCompletedSession(s)).length,
     categoryStats: categoryStats.reduce((acc, stat) => {
       acc[stat.categoryKey] = stat;
       return acc;
@@ -1,11 +1,43 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { pathToFileURL } from 'node:url';
 import * as cheerio from 'cheerio';
 
 const BASE_URL = 'https://www.transportstyrelsen.se/sv/vagtrafik/trafikregler-och-vagmarken/vagmarken/';
-const OUTPUT_PATH = path.resolve('data/signs.json');
+const IMAGE_URL_BASE = 'https://www.transportstyrelsen.se/link/';
+const IMAGE_DIR = 'assets/signs';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/svg+xml': 'svg',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Command line options:
+//   --save-snapshots     save every fetched page into the snapshot directory
+//   --from-snapshots     build the data purely from saved pages, without network
+//   --snapshot-dir=DIR   snapshot directory (default scripts/fixtures/transportstyrelsen)
+//   --out=FILE           output file (default data/signs.json)
+//   --changelog=FILE     changelog file (default signs-changelog.json next to the output)
+const args = process.argv.slice(2);
+
+function getArg(name, fallback) {
+  const prefix = `--${name}=`;
+  const match = args.find(arg => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : fallback;
+}
+
+const SAVE_SNAPSHOTS = args.includes('--save-snapshots');
+const FROM_SNAPSHOTS = args.includes('--from-snapshots');
+const SNAPSHOT_DIR = path.resolve(getArg('snapshot-dir', 'scripts/fixtures/transportstyrelsen'));
+const OUTPUT_PATH = path.resolve(getArg('out', 'data/signs.json'));
+const CHANGELOG_PATH = path.resolve(getArg('changelog', path.join(path.dirname(OUTPUT_PATH), 'signs-changelog.json')));
 
-// All 19 categories from Transportstyrelsen with codes, icons and colors
+// All 19 categories from Transportstyrelsen with codes, icons and colors.
+// The longest key contained in a page title wins, so specific names beat the fallbacks.
 const CATEGORY_CONFIG = {
   'varningsmärken': { code: 'A', icon: '⚠️', color: '#FFD700' },
   'väjningspliktsmärken': { code: 'B', icon: '🛑', color: '#DC143C' },
@@ -13,7 +45,7 @@ const CATEGORY_CONFIG = {
   'påbudsmärken': { code: 'D', icon: '🔵', color: '#1E90FF' },
   'anvisningsmärken': { code: 'E', icon: 'ℹ️', color: '#4169E1' },
   'lokaliseringsmärken för vägvisning': { code: 'F1', icon: '🧭', color: '#228B22' },
-  'lokaliseringsmärken för gång- och cykeltrafik': { code: 'F2', icon: '🚴', color: '#32CD32' },
+  'lokaliseringsmärken för vägvisning av gång- och cykeltrafik': { code: 'F2', icon: '🚴', color: '#32CD32' },
   'lokaliseringsmärken för upplysning om allmänna inrättningar': { code: 'G', icon: '🏛️', color: '#6B8E23' },
   'lokaliseringsmärken för upplysning om serviceanläggningar': { code: 'H', icon: '⛽', color: '#2E8B57' },
   'lokaliseringsmärken för turistiskt intressanta mål': { code: 'I', icon: '🏔️', color: '#8B4513' },
@@ -22,6 +54,10 @@ const CATEGORY_CONFIG = {
   'symboler': { code: 'S', icon: '🔣', color: '#9370DB' },
   'tilläggstavlor': { code: 'T', icon: '➕', color: '#696969' },
   'andra anordningar': { code: 'X', icon: '🚧', color: '#FF6347' },
+  'trafiksignaler': { code: 'SIG', icon: '🚦', color: '#2F4F4F' },
+  'tecken av polisman': { code: 'P', icon: '👮', color: '#191970' },
+  'tecken av vakt': { code: 'V', icon: '🦺', color: '#FF8C00' },
+  'signaler vid korsning med järnväg': { code: 'Y', icon: '🚆', color: '#B22222' },
   // Fallback mappings for variations
   'varning': { code: 'A', icon: '⚠️', color: '#FFD700' },
   'väjning': { code: 'B', icon: '🛑', color: '#DC143C' },
@@ -48,6 +84,123 @@ async function fetchHtml(url) {
   return response.text();
 }
 
+async function fetchImage(imgHash) {
+  const response = await fetch(`${IMAGE_URL_BASE}${imgHash}.aspx`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; VagmarkesforhorBot/1.0)'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Kunde inte hämta bild ${imgHash}: ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const ext = IMAGE_EXTENSIONS[contentType];
+  if (!ext) {
+    throw new Error(`Okänd bildtyp ${contentType || '(saknas)'} för ${imgHash}`);
+  }
+
+  return { buffer: Buffer.from(await response.arrayBuffer()), ext };
+}
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Image paths from the previous output, keyed by img hash
+async function readPreviousImages() {
+  try {
+    const previous = JSON.parse(await fs.readFile(OUTPUT_PATH, 'utf8'));
+    const images = new Map();
+    Object.values(previous).forEach(category => {
+      category.signs?.forEach(sign => {
+        if (sign.image) images.set(sign.img, sign.image);
+      });
+    });
+    return images;
+  } catch {
+    return new Map();
+  }
+}
+
+// Store every sign image under assets/signs, named by a hash of its content so a
+// changed image gets a new path, and record that path on the sign.
+// Offline runs reuse the previous paths whose files are still on disk.
+async function downloadImages(categories) {
+  const previous = await readPreviousImages();
+  const signs = Object.values(categories).flatMap(category => category.signs);
+  let failed = 0;
+
+  if (!FROM_SNAPSHOTS) {
+    await fs.mkdir(path.resolve(IMAGE_DIR), { recursive: true });
+  }
+
+  for (const sign of signs) {
+    if (FROM_SNAPSHOTS) {
+      const image = previous.get(sign.img);
+      if (image && await fileExists(path.resolve(image))) {
+        sign.image = image;
+      }
+      continue;
+    }
+
+    try {
+      const { buffer, ext } = await fetchImage(sign.img);
+      const contentHash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+      const image = `${IMAGE_DIR}/${contentHash}.${ext}`;
+
+      if (!await fileExists(path.resolve(image))) {
+        await fs.writeFile(path.resolve(image), buffer);
+      }
+      sign.image = image;
+
+      // Small delay to be nice to the server
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } catch (error) {
+      failed++;
+      console.error(`  -> Fel: ${error.message}`);
+    }
+  }
+
+  const stored = signs.filter(sign => sign.image).length;
+  console.log(`\n🖼️  ${stored} av ${signs.length} bilder lagrade lokalt i ${IMAGE_DIR}${failed ? ` (${failed} misslyckades)` : ''}`);
+}
+
+// Map a page URL to a stable snapshot file name
+function snapshotPath(url) {
+  const pathname = new URL(url).pathname;
+  const name = slugify(pathname) || 'index';
+  return path.join(SNAPSHOT_DIR, `${name}.html`);
+}
+
+// Get page HTML live or from a snapshot, saving snapshots when asked to
+async function loadHtml(url) {
+  const file = snapshotPath(url);
+
+  if (FROM_SNAPSHOTS) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch {
+      throw new Error(`Ingen sparad sida för ${url} (${path.relative(process.cwd(), file)})`);
+    }
+  }
+
+  const html = await fetchHtml(url);
+
+  if (SAVE_SNAPSHOTS) {
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+    await fs.writeFile(file, html);
+  }
+
+  return html;
+}
+
 function slugify(text) {
   return text
     .toLowerCase()
@@ -58,27 +211,49 @@ function slugify(text) {
     .replace(/(^-|-$)/g, '');
 }
 
+// Category headers such as "A. Varningsmärken" or "SIG. Trafiksignaler" - the
+// overview page lists these instead of signs
+const CATEGORY_HEADER_PATTERN = /^[A-ZÅÄÖ]{1,3}\.\s/;
+
 function getCategoryConfig(name) {
   const lowered = name.toLowerCase();
 
-  // Try exact match first
-  for (const [key, config] of Object.entries(CATEGORY_CONFIG)) {
-    if (lowered.includes(key)) {
-      return config;
-    }
+  const match = Object.keys(CATEGORY_CONFIG)
+    .filter(key => lowered.includes(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (match) {
+    return CATEGORY_CONFIG[match];
   }
 
   // Default fallback
   return { code: '?', icon: '🚗', color: '#808080' };
 }
 
-function extractSignCode(id, categoryCode) {
-  // Extract the sign code (like A1, B2, etc.) from the ID if possible
-  const match = id.match(/^([A-Z]\d+)/i);
-  if (match) {
-    return match[1].toUpperCase();
-  }
-  return `${categoryCode}-${id.slice(0, 6).toUpperCase()}`;
+// Strip query and hash and add a trailing slash so the same page compares equal
+function normalizeUrl(url) {
+  const parsed = new URL(url, BASE_URL);
+  parsed.search = '';
+  parsed.hash = '';
+  const href = parsed.toString();
+  return href.endsWith('/') ? href : `${href}/`;
+}
+
+// The overview page links to every category and shows their headers as images
+function isOverviewPage(url, signs) {
+  if (normalizeUrl(url) === BASE_URL) return true;
+  const headers = signs.filter(sign => CATEGORY_HEADER_PATTERN.test(sign.name)).length;
+  return headers > signs.length / 2;
+}
+
+// Sign code at the start of a caption, including variant letters and
+// multi-letter prefixes: "A1. ", "F31a. ", "SIG1. "
+const SIGN_CODE_PREFIX = /^([A-Z]+\d+[a-z]?)\.\s*/;
+
+// Placeholder id for a sign without a code in its caption. The image hash is hex,
+// so it never holds a real sign code - "f8268…" must not become "F8268".
+function extractSignCode(imgHash, categoryCode) {
+  return `${categoryCode}-${imgHash.slice(0, 6).toUpperCase()}`;
 }
 
 function estimateDifficulty(name, categoryCode) {
@@ -103,13 +278,49 @@ function estimateDifficulty(name, categoryCode) {
   return difficulty;
 }
 
+const SIGN_IMAGE_SELECTOR = 'img[src*="/link/"]';
+
+// The smallest element around a sign image that holds its caption. Climbing stops
+// as soon as an element also holds another sign image, so text from neighbouring
+// signs is never picked up. Returns null when the sign has no caption of its own.
+function findSignScope($, img) {
+  let scope = $(img).parent();
+
+  while (scope.length && !scope.is('body')) {
+    if (scope.find(SIGN_IMAGE_SELECTOR).length > 1) return null;
+    if (scope.find('.roadsign-text').length > 0) return scope;
+    scope = scope.parent();
+  }
+
+  return null;
+}
+
+// Collect the explanatory rule text next to a sign, e.g. what it forbids and where it applies
+function extractDescription($, scope) {
+  if (!scope) return '';
+
+  const explicit = scope.find('.roadsign-description, .roadsign-info').first().text();
+  if (explicit.trim()) {
+    return explicit.replace(/\s+/g, ' ').trim();
+  }
+
+  const parts = [];
+  scope.find('p, li').each((_, el) => {
+    const $el = $(el);
+    if ($el.hasClass('roadsign-text')) return;
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+    if (text) parts.push(text);
+  });
+
+  return parts.join(' ');
+}
+
 function extractSigns(html, categoryCode) {
   const $ = cheerio.load(html);
   const signs = [];
 
-  $('img').each((_, img) => {
+  $(SIGN_IMAGE_SELECTOR).each((_, img) => {
     const src = $(img).attr('src') || '';
-    if (!src.includes('/link/')) return;
 
     const idMatch = src.match(/\/link\/(.+?)\.aspx/);
     if (!idMatch) return;
@@ -120,11 +331,11 @@ function extractSigns(html, categoryCode) {
     let name = '';
 
     // 1. Check for roadsign-text paragraph (new structure)
-    const container = $(img).closest('div');
-    const roadsignText = container.parent().find('.roadsign-text').first().text().trim();
+    const scope = findSignScope($, img);
+    const roadsignText = scope ? scope.find('.roadsign-text').first().text().trim() : '';
     if (roadsignText) {
-      // Remove sign code prefix like "A1. " from name
-      name = roadsignText.replace(/^[A-Z]\d+\.\s*/, '').trim();
+      // Remove sign code prefix like "A1. " or "F31a. " from name
+      name = roadsignText.replace(SIGN_CODE_PREFIX, '').trim();
     }
 
     // 2. Fallback to alt text
@@ -139,7 +350,7 @@ function extractSigns(html, categoryCode) {
 
     // 4. Extract sign code from roadsign-text if available
     let signCode = '';
-    const codeMatch = roadsignText.match(/^([A-Z]\d+)/);
+    const codeMatch = roadsignText.match(SIGN_CODE_PREFIX);
     if (codeMatch) {
       signCode = codeMatch[1];
     } else {
@@ -149,12 +360,14 @@ function extractSigns(html, categoryCode) {
     if (!name) return;
 
     const difficulty = estimateDifficulty(name, categoryCode);
+    const description = extractDescription($, scope);
 
     signs.push({
       id: signCode,
       name,
       img: imgHash,
-      difficulty
+      difficulty,
+      ...(description && { description })
     });
   });
 
@@ -172,7 +385,7 @@ function dedupeSigns(signs) {
 }
 
 async function scrapeCategories() {
-  const indexHtml = await fetchHtml(BASE_URL);
+  const indexHtml = await loadHtml(BASE_URL);
   const $ = cheerio.load(indexHtml);
   const links = new Set();
 
@@ -180,10 +393,10 @@ async function scrapeCategories() {
     const href = $(anchor).attr('href');
     if (!href) return;
     if (!href.includes('/vagmarken/')) return;
-    if (href === BASE_URL) return;
 
-    const absolute = href.startsWith('http') ? href : new URL(href, BASE_URL).toString();
-    links.add(absolute.endsWith('/') ? absolute : `${absolute}/`);
+    const absolute = normalizeUrl(href);
+    if (absolute === BASE_URL) return;
+    links.add(absolute);
   });
 
   return Array.from(links).sort();
@@ -197,8 +410,8 @@ async function buildData() {
 
   for (const url of categoryUrls) {
     try {
-      console.log(`Hämtar: ${url}`);
-      const html = await fetchHtml(url);
+      console.log(`${FROM_SNAPSHOTS ? 'Läser' : 'Hämtar'}: ${url}`);
+      const html = await loadHtml(url);
       const $ = cheerio.load(html);
       const title = $('h1').first().text().trim();
       if (!title) continue;
@@ -211,6 +424,15 @@ async function buildData() {
         continue;
       }
 
+      if (isOverviewPage(url, signs)) {
+        console.log(`  -> Översiktssida, hoppar över`);
+        continue;
+      }
+
+      if (config.code === '?') {
+        console.warn(`  -> Okänd kategori "${title}", lägg till den i CATEGORY_CONFIG`);
+      }
+
       const slug = slugify(title);
       categories[slug] = {
         name: title,
@@ -223,7 +445,9 @@ async function buildData() {
       console.log(`  -> ${signs.length} märken (${config.code})`);
 
       // Small delay to be nice to the server
-      await new Promise(resolve => setTimeout(resolve, 500));
+      if (!FROM_SNAPSHOTS) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
     } catch (error) {
       console.error(`  -> Fel: ${error.message}`);
     }
@@ -232,16 +456,114 @@ async function buildData() {
   return categories;
 }
 
+function flattenSigns(data) {
+  return Object.entries(data).flatMap(([category, cat]) =>
+    (cat.signs || []).map(sign => ({ ...sign, category }))
+  );
+}
+
+function describeSign(sign) {
+  return { id: sign.id, category: sign.category, name: sign.name };
+}
+
+// Compare two versions of signs.json. Signs are matched on id and image hash,
+// then id alone, then image hash and finally category and name, so a re-keyed
+// sign shows up as renamed rather than as one removal and one addition.
+function diffSignData(previous, next) {
+  const oldSigns = flattenSigns(previous);
+  const newSigns = flattenSigns(next);
+  const unmatchedOld = new Set(oldSigns);
+  const unmatchedNew = new Set(newSigns);
+  const pairs = [];
+
+  const matchBy = keyOf => {
+    const byKey = new Map();
+    unmatchedOld.forEach(sign => {
+      const key = keyOf(sign);
+      if (key && !byKey.has(key)) byKey.set(key, sign);
+    });
+    unmatchedNew.forEach(sign => {
+      const match = byKey.get(keyOf(sign));
+      if (!match || !unmatchedOld.has(match)) return;
+      pairs.push([match, sign]);
+      unmatchedOld.delete(match);
+      unmatchedNew.delete(sign);
+    });
+  };
+
+  matchBy(sign => `${sign.id}/${sign.img}`);
+  matchBy(sign => sign.id);
+  matchBy(sign => sign.img);
+  matchBy(sign => `${sign.category}/${sign.name}`);
+
+  const renamed = [];
+  const imageChanged = [];
+
+  pairs.forEach(([before, after]) => {
+    if (before.id !== after.id) {
+      renamed.push({ from: before.id, to: after.id, category: after.category, name: after.name });
+    }
+    if (before.img !== after.img || before.image !== after.image) {
+      imageChanged.push({
+        id: after.id,
+        category: after.category,
+        from: { img: before.img, image: before.image || null },
+        to: { img: after.img, image: after.image || null }
+      });
+    }
+  });
+
+  return {
+    added: Array.from(unmatchedNew).map(describeSign),
+    removed: Array.from(unmatchedOld).map(describeSign),
+    renamed,
+    imageChanged
+  };
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Append a changelog entry when the data changed. The app replays the id remaps
+// in "renamed" on stored progress, so entries are never rewritten.
+async function writeChangelog(previous, data) {
+  const diff = diffSignData(previous, data);
+  const changes = diff.added.length + diff.removed.length + diff.renamed.length + diff.imageChanged.length;
+
+  if (changes === 0) {
+    console.log('\nInga ändringar jämfört med föregående datafil');
+    return;
+  }
+
+  const changelog = await readJson(CHANGELOG_PATH, { entries: [] });
+  changelog.entries.push({ id: new Date().toISOString(), ...diff });
+  await fs.writeFile(CHANGELOG_PATH, `${JSON.stringify(changelog, null, 2)}\n`);
+
+  console.log(`\n📝 Ändringar: ${diff.added.length} nya, ${diff.removed.length} borttagna, ${diff.renamed.length} nya id, ${diff.imageChanged.length} nya bilder (${CHANGELOG_PATH})`);
+}
+
 async function main() {
   try {
-    console.log('Startar skrapning av Transportstyrelsen...\n');
+    console.log(FROM_SNAPSHOTS
+      ? `Bygger data från sparade sidor i ${SNAPSHOT_DIR}...\n`
+      : 'Startar skrapning av Transportstyrelsen...\n');
+    const previous = await readJson(OUTPUT_PATH, {});
     const data = await buildData();
+    await downloadImages(data);
 
     const totalSigns = Object.values(data).reduce((sum, cat) => sum + cat.signs.length, 0);
 
+    await fs.mkdir(path.dirname(OUTPUT_PATH), { recursive: true });
     await fs.writeFile(OUTPUT_PATH, JSON.stringify(data, null, 2));
     console.log(`\n✅ Skrev ${Object.keys(data).length} kategorier med ${totalSigns} märken till ${OUTPUT_PATH}`);
 
+    await writeChangelog(previous, data);
+
     // Print summary
     console.log('\nSammanfattning:');
     Object.entries(data)
@@ -256,4 +578,17 @@ async function main() {
   }
 }
 
-main();
+export {
+  extractSigns,
+  getCategoryConfig,
+  extractSignCode,
+  isOverviewPage,
+  buildData,
+  downloadImages,
+  diffSignData
+};
+
+// Only scrape when run as a script, so the parser can be imported by tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,43 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { validateSignData } from '../js/utils/sign-validation.js';
+
+// Usage: node scripts/validate-signs.mjs [file] [--strict]
+//   --strict   fail on warnings as well as errors
+const args = process.argv.slice(2);
+const STRICT = args.includes('--strict');
+const INPUT_PATH = path.resolve(args.find(arg => !arg.startsWith('--')) || 'data/signs.json');
+
+async function main() {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(INPUT_PATH, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Kunde inte läsa ${INPUT_PATH}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const issues = validateSignData(data);
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+
+  const byCode = new Map();
+  issues.forEach(i => {
+    if (!byCode.has(i.code)) byCode.set(i.code, []);
+    byCode.get(i.code).push(i);
+  });
+
+  byCode.forEach((list, code) => {
+    console.log(`\n${code} (${list.length}):`);
+    list.forEach(i => console.log(`  ${i.severity === 'error' ? '✖' : '⚠'} ${i.message}`));
+  });
+
+  console.log(`\n${errors.length} fel, ${warnings.length} varningar i ${path.relative(process.cwd(), INPUT_PATH)}`);
+
+  if (errors.length > 0 || (STRICT && warnings.length > 0)) {
+    process.exit(1);
+  }
+  console.log('✅ Datafilen är giltig');
+}
+
+main();
@@ -1,31 +1,80 @@
-const CACHE_NAME = 'vagmarkesforhor-v8';
+import { startOfStudyDay } from './js/utils/dates.js';
+import { DB_NAME, DB_VERSION, STORES } from './js/utils/storage.js';
+
+const CACHE_NAME = 'vagmarkesforhor-v37';
+const REMINDER_CACHE = 'vagmarkesforhor-reminders';
+const REMINDER_SETTINGS_URL = 'reminder-settings.json';
+const REMINDER_SYNC_TAG = 'due-reminder';
 const APP_SHELL = [
   '.',
   'index.html',
   'styles.css',
   'manifest.webmanifest',
   'data/signs.json',
+  'data/signs-changelog.json',
   'assets/icon.svg',
   // JS Modules
   'js/app.js',
   'js/state.js',
   'js/quiz/quiz-engine.js',
   'js/quiz/question-types.js',
+  'js/quiz/text-matching.js',
   'js/learning/sm2.js',
+  'js/learning/fsrs.js',
+  'js/learning/scheduler.js',
+  'js/learning/forecast.js',
+  'js/learning/study-plan.js',
+  'js/learning/directions.js',
+  'js/learning/leeches.js',
   'js/learning/progress.js',
   'js/learning/recommendations.js',
+  'js/learning/confusion.js',
+  'js/learning/flashcards.js',
+  'js/learning/migrations.js',
+  'js/learning/daily-goal.js',
+  'js/learning/achievements.js',
+  'js/learning/activity.js',
   'js/ml/tfjs-loader.js',
   'js/ml/prediction.js',
   'js/ui/dashboard.js',
+  'js/ui/charts.js',
   'js/ui/components.js',
-  'js/utils/storage.js'
+  'js/ui/flashcards.js',
+  'js/ui/history.js',
+  'js/ui/catalogue.js',
+  'js/utils/storage.js',
+  'js/utils/dates.js',
+  'js/utils/sign-validation.js',
+  'js/utils/images.js',
+  'js/utils/notifications.js',
+  'js/utils/events.js'
 ];
 
+// Collect the locally hosted sign images listed in signs.json
+async function getSignImagePaths() {
+  const response = await fetch('data/signs.json', { cache: 'no-store' });
+  const data = await response.json();
+  return Object.values(data)
+    .flatMap(category => category.signs.map(sign => sign.image))
+    .filter(Boolean);
+}
+
+// Cache every sign image up front so quizzes work offline from the first launch.
+// Missing images must not break the install, so they are added one by one.
+async function precacheSignImages(cache) {
+  try {
+    const images = await getSignImagePaths();
+    await Promise.allSettled(images.map(image => cache.add(image)));
+  } catch {
+    // Images fall back to the network and are cached on first use
+  }
+}
+
 // Install event - cache app shell
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(APP_SHELL))
+      .then(cache => cache.addAll(APP_SHELL).then(() => precacheSignImages(cache)))
       .then(() => self.skipWaiting())
   );
 });
@@ -36,7 +85,7 @@ self.addEventListener('activate', event => {
     caches.keys()
       .then(keys => Promise.all(
         keys
-          .filter(key => key !== CACHE_NAME)
+          .filter(key => key !== CACHE_NAME && key !== REMINDER_CACHE)
           .map(key => caches.delete(key))
       ))
       .then(() => self.clients.claim())
@@ -48,7 +97,13 @@ self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Cache images from Transportstyrelsen
+  // Locally hosted sign images never change - their names are content hashes
+  if (url.origin === self.location.origin && url.pathname.includes('/assets/signs/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  // Cache images from Transportstyrelsen (fallback for signs without a local copy)
   if (url.hostname === 'www.transportstyrelsen.se' && url.pathname.includes('/link/')) {
     event.respondWith(cacheFirst(request));
     return;
@@ -117,9 +172,124 @@ async function staleWhileRevalidate(request) {
   return cached || fetchPromise;
 }
 
+// Reminder settings come from the page; the worker has no access to localStorage
+async function saveReminderSettings(settings) {
+  const cache = await caches.open(REMINDER_CACHE);
+  const previous = await loadReminderSettings();
+  await cache.put(REMINDER_SETTINGS_URL, new Response(JSON.stringify({
+    lastNotifiedDay: previous?.lastNotifiedDay || null,
+    ...settings
+  })));
+}
+
+async function loadReminderSettings() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_SETTINGS_URL);
+  return response ? response.json() : null;
+}
+
+// Open the app database at the page's version. If the page has not created or
+// upgraded it yet the upgrade is aborted, so the worker never leaves an empty
+// schema behind, and null is returned.
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let upgradeAborted = false;
+    request.onupgradeneeded = () => {
+      upgradeAborted = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => (upgradeAborted ? resolve(null) : reject(request.error));
+  });
+}
+
+function getAllInRange(database, storeName, indexName, range) {
+  return new Promise((resolve, reject) => {
+    const request = database.transaction(storeName, 'readonly')
+      .objectStore(storeName)
+      .index(indexName)
+      .getAll(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Count signs due before the study day ends and answers given so far today
+async function getReviewStatus(dayStart) {
+  const database = await openDatabase();
+  if (!database) return { dueCount: 0, answered: 0 };
+
+  try {
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+    const [due, answers] = await Promise.all([
+      getAllInRange(database, STORES.SIGN_PROGRESS, 'nextReviewDate', IDBKeyRange.upperBound(dayEnd.toISOString())),
+      getAllInRange(database, STORES.ANSWER_EVENTS, 'date', IDBKeyRange.lowerBound(dayStart.toISOString()))
+    ]);
+
+    return {
+      dueCount: due.filter(progress => !progress.suspended).length,
+      answered: answers.length
+    };
+  } finally {
+    database.close();
+  }
+}
+
+// Notify once per study day, after the reminder hour, while reviews wait and the goal is open
+async function maybeShowReminder() {
+  const settings = await loadReminderSettings();
+  if (!settings?.enabled) return;
+
+  const now = new Date();
+  if (now.getHours() < settings.reminderHour) return;
+
+  const dayStart = startOfStudyDay(now, settings.dayStartHour);
+  const dayKey = dayStart.toDateString();
+  if (settings.lastNotifiedDay === dayKey) return;
+
+  const { dueCount, answered } = await getReviewStatus(dayStart);
+  const goalMet = settings.dailyGoal === 'due' ? dueCount === 0 : answered >= Number(settings.dailyGoal);
+  if (dueCount === 0 || goalMet) return;
+
+  await self.registration.showNotification('Dags att repetera vägmärken', {
+    body: settings.dailyGoal === 'due'
+      ? `${dueCount} märken väntar på repetition`
+      : `${dueCount} märken väntar. Dagens mål: ${answered}/${settings.dailyGoal} svar`,
+    icon: 'assets/icon.svg',
+    tag: REMINDER_SYNC_TAG
+  });
+
+  await saveReminderSettings({ ...settings, lastNotifiedDay: dayKey });
+}
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(maybeShowReminder());
+  }
+});
+
+// Open (or focus) the app from a reminder
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      const client = clients[0];
+      return client ? client.focus() : self.clients.openWindow('.');
+    })
+  );
+});
+
 // Handle messages from main thread
 self.addEventListener('message', event => {
   if (event.data === 'skipWaiting') {
     self.skipWaiting();
+    return;
+  }
+
+  if (event.data?.type === 'reminder-settings') {
+    event.waitUntil(saveReminderSettings(event.data.settings));
+  } else if (event.data?.type === 'check-reminder') {
+    event.waitUntil(maybeShowReminder());
   }
 });
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { state } from '../js/state.js';
+import { pickDirection, Direction } from '../js/learning/directions.js';
+
+state.dayStartHour = 4;
+
+// 22:00, so the study day runs until 04:00 the next morning
+const now = new Date(2026, 9, 19, 22);
+
+function progressWith(imageToTextDue, textToImageDue) {
+  const direction = (nextReviewDate, recall) => ({
+    totalAttempts: 3,
+    correctAttempts: 3,
+    easeFactor: 2.5,
+    interval: 3,
+    repetitions: 3,
+    lastAttemptDate: new Date(2026, 9, 16, 12).toISOString(),
+    nextReviewDate: nextReviewDate.toISOString(),
+    recall
+  });
+
+  return {
+    signId: 'A1',
+    lastAttemptDate: new Date(2026, 9, 16, 12).toISOString(),
+    directions: {
+      // The direction due soonest is the better remembered one
+      [Direction.IMAGE_TO_TEXT]: direction(imageToTextDue, 0.95),
+      [Direction.TEXT_TO_IMAGE]: direction(textToImageDue, 0.6)
+    }
+  };
+}
+
+const retrievability = dirState => dirState.recall;
+
+test('a direction due later in the same study day is picked as due', () => {
+  const progress = progressWith(new Date(2026, 9, 20, 3), new Date(2026, 9, 25, 12));
+
+  assert.equal(pickDirection(progress, retrievability, now), Direction.IMAGE_TO_TEXT);
+});
+
+test('a direction due after the study day ends is not', () => {
+  const progress = progressWith(new Date(2026, 9, 20, 5), new Date(2026, 9, 25, 12));
+
+  assert.equal(pickDirection(progress, retrievability, now), Direction.TEXT_TO_IMAGE);
+});
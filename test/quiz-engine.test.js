@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { state } from '../js/state.js';
+import { initQuizEngine, resumeQuiz, loadCurrentQuestion, getExamTimeRemaining } from '../js/quiz/quiz-engine.js';
+
+// Count database opens instead of touching a real IndexedDB; requests never complete
+let databaseOpens = 0;
+globalThis.indexedDB = {
+  open() {
+    databaseOpens++;
+    return {};
+  }
+};
+
+const signData = {
+  varningsmarken: {
+    name: 'Varningsmärken',
+    code: 'A',
+    signs: [
+      { id: 'A1', name: 'Varning för farlig kurva', img: 'a1', difficulty: 1 },
+      { id: 'A2', name: 'Varning för kurvor', img: 'a2', difficulty: 2 },
+      { id: 'A3', name: 'Varning för nedförslutning', img: 'a3', difficulty: 2 },
+      { id: 'A4', name: 'Varning för stigning', img: 'a4', difficulty: 2 }
+    ]
+  }
+};
+
+function examCheckpoint(examDeadline) {
+  return {
+    sessionId: 'session-1',
+    selectedCategories: ['varningsmarken'],
+    quizMode: 'exam',
+    questionType: 'image-to-text',
+    difficulty: 'adaptive',
+    quizSigns: signData.varningsmarken.signs.map(sign => ({ ...sign, category: 'varningsmarken' })),
+    currentQuestion: 1,
+    correctAnswers: 1,
+    streak: 1,
+    wrongAnswers: [],
+    answers: [],
+    answeredCount: 1,
+    quizStartTime: examDeadline - 60_000,
+    examDeadline,
+    question: null,
+    answered: false
+  };
+}
+
+beforeEach(() => {
+  initQuizEngine(signData);
+  databaseOpens = 0;
+});
+
+test('resuming an exam after its deadline leaves it ready to finish', async () => {
+  const hasMore = await resumeQuiz(examCheckpoint(Date.now() - 1000));
+
+  assert.equal(hasMore, false);
+  assert.equal(getExamTimeRemaining(), 0);
+  assert.equal(databaseOpens, 0);
+});
+
+test('no checkpoint is written once the quiz has ended', () => {
+  state.quizSigns = examCheckpoint(Date.now() + 60_000).quizSigns;
+  state.currentQuestion = 0;
+
+  state.quizEndTime = null;
+  loadCurrentQuestion();
+  assert.equal(databaseOpens, 1);
+
+  state.quizEndTime = Date.now();
+  loadCurrentQuestion();
+  assert.equal(databaseOpens, 1);
+});
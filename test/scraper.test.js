@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { extractSigns } from '../scripts/scrape-transportstyrelsen.mjs';
+
+const fixture = name => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('extracts every sign image with its code and name', async () => {
+  const signs = extractSigns(await fixture('varningsmarken.html'), 'A');
+
+  assert.deepEqual(
+    signs.map(({ id, name, img, difficulty }) => ({ id, name, img, difficulty })),
+    [
+      { id: 'A1', name: 'Varning för farlig kurva', img: '0a1b2c3d4e5f60718293a4b5c6d7e8f9', difficulty: 1 },
+      { id: 'A2', name: 'Varning för flera farliga kurvor', img: '1b2c3d4e5f60718293a4b5c6d7e8f90a', difficulty: 2 },
+      { id: 'A15', name: 'Varning för vägarbete', img: '2c3d4e5f60718293a4b5c6d7e8f90a1b', difficulty: 1 },
+      { id: 'A-3D4E5F', name: 'Varning för järnvägskorsning med bommar', img: '3d4e5f60718293a4b5c6d7e8f90a1b2c', difficulty: 2 }
+    ]
+  );
+});
+
+test('ignores images that are not sign links', async () => {
+  const signs = extractSigns(await fixture('varningsmarken.html'), 'A');
+  assert.ok(signs.every(sign => sign.img !== 'logo'));
+  assert.equal(new Set(signs.map(sign => sign.img)).size, signs.length);
+});
+
+test('reads multi-letter and variant sign codes from the caption', () => {
+  const html = `
+    <div class="roadsign">
+      <div class="roadsign-image"><img src="/link/f82680a1b2c3d4e5f60718293a4b5c6d.aspx" alt=""></div>
+      <p class="roadsign-text">SIG4. Gul</p>
+    </div>
+    <div class="roadsign">
+      <div class="roadsign-image"><img src="/link/f3b02726aece40c2ad511e5d7e52a67b.aspx" alt=""></div>
+      <p class="roadsign-text">F31a. Färdväg för långa fordonståg</p>
+    </div>
+  `;
+
+  assert.deepEqual(
+    extractSigns(html, 'SIG').map(({ id, name }) => ({ id, name })),
+    [
+      { id: 'SIG4', name: 'Gul' },
+      { id: 'F31a', name: 'Färdväg för långa fordonståg' }
+    ]
+  );
+});
+
+test('falls back to a category placeholder id, never a code read from the image hash', () => {
+  const html = '<div><div><img src="/link/f82680a1b2c3d4e5f60718293a4b5c6d.aspx" alt="Gul"></div></div>';
+  assert.equal(extractSigns(html, 'SIG')[0].id, 'SIG-F82680');
+});
+
+test('takes each description from the sign\'s own block only', async () => {
+  const signs = extractSigns(await fixture('forbudsmarken.html'), 'C');
+
+  assert.deepEqual(
+    signs.map(({ id, description }) => ({ id, description })),
+    [
+      { id: 'C1', description: 'Märket anger förbud mot infart med fordon.' },
+      { id: 'C2', description: 'Märket anger förbud mot trafik med fordon. Gäller inte cykel som leds.' },
+      { id: 'C3', description: undefined }
+    ]
+  );
+});
+
+test('does not borrow captions or text from neighbouring signs', () => {
+  const html = `
+    <div class="list">
+      <p class="roadsign-text">C1. Förbud mot infart med fordon</p>
+      <p>Märket anger förbud mot infart med fordon.</p>
+      <div><img src="/link/a0b1c2d3e4f5061728394a5b6c7d8e9f.aspx" alt="Förbud mot infart med fordon"></div>
+      <div><img src="/link/b1c2d3e4f5061728394a5b6c7d8e9fa0.aspx" alt="Förbud mot trafik med fordon"></div>
+    </div>
+  `;
+
+  assert.deepEqual(
+    extractSigns(html, 'C').map(({ name, description }) => ({ name, description })),
+    [
+      { name: 'Förbud mot infart med fordon', description: undefined },
+      { name: 'Förbud mot trafik med fordon', description: undefined }
+    ]
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreFreeTextAnswer, FULL_MATCH_SCORE } from '../js/quiz/text-matching.js';
+
+// matchScoreToQuality counts this as a correct answer
+const CORRECT_SCORE = 0.75;
+
+test('accepts the exact name regardless of case, accents, articles and word order', () => {
+  assert.equal(scoreFreeTextAnswer('förbud mot omkörning', 'Förbud mot omkörning'), 1);
+  assert.equal(scoreFreeTextAnswer('FORBUD MOT OMKORNING', 'Förbud mot omkörning'), 1);
+  assert.equal(scoreFreeTextAnswer('omkörning förbud mot', 'Förbud mot omkörning'), 1);
+  assert.equal(scoreFreeTextAnswer('gång och cykelbana', 'Gång- och cykelbana'), 1);
+});
+
+test('tolerates a typo in a long word', () => {
+  assert.ok(scoreFreeTextAnswer('badplatts', 'Badplats') >= FULL_MATCH_SCORE);
+  assert.ok(scoreFreeTextAnswer('varnig för vägarbete', 'Varning för vägarbete') >= FULL_MATCH_SCORE);
+});
+
+test('keeps short, similar sign names apart', () => {
+  const pairs = [
+    ['Badplats', 'Laddplats'],
+    ['Vändplats', 'Badplats'],
+    ['Laddplats', 'Vändplats'],
+    ['Varning för bro', 'Varning för kö'],
+    ['Varning för kaj', 'Varning för kö'],
+    ['Varning för barn', 'Varning för bro']
+  ];
+  for (const [answer, expected] of pairs) {
+    assert.ok(scoreFreeTextAnswer(answer, expected) < CORRECT_SCORE, `${answer} -> ${expected}`);
+  }
+});
+
+test('an added or missing "slut" or "upphör" is wrong', () => {
+  const pairs = [
+    ['Slut på förbud mot omkörning med tung lastbil', 'Förbud mot omkörning med tung lastbil'],
+    ['Förbud mot omkörning', 'Slut på förbud mot omkörning'],
+    ['Rekommenderad högsta hastighet upphör', 'Rekommenderad högsta hastighet'],
+    ['Motortrafikled', 'Motortrafikled upphör'],
+    ['Varning för järnvägskorsning utan bommar', 'Varning för järnvägskorsning med bommar']
+  ];
+  for (const [answer, expected] of pairs) {
+    assert.ok(scoreFreeTextAnswer(answer, expected) < 0.5, `${answer} -> ${expected}`);
+  }
+});
+
+test('extra words that match nothing lower the score', () => {
+  const score = scoreFreeTextAnswer('Förbud mot att parkera fordon på natten', 'Förbud mot att parkera fordon');
+  assert.ok(score < FULL_MATCH_SCORE);
+});
+
+test('an answer naming another sign is not correct', () => {
+  const others = ['Rörelsehindrade', 'Väjningslinje', 'Förbud mot att stanna och parkera'];
+  assert.ok(scoreFreeTextAnswer('Rörelsehindrade', 'Rörelsehindrad', others) < CORRECT_SCORE);
+  assert.ok(scoreFreeTextAnswer('Väjningslinje', 'Varningslinje', others) < CORRECT_SCORE);
+  assert.ok(scoreFreeTextAnswer('Förbud mot att stanna och parkera', 'Förbud mot att stanna och parkera fordon', others) < CORRECT_SCORE);
+  assert.equal(scoreFreeTextAnswer('Varningslinje', 'Varningslinje', others), 1);
+});
+
+test('empty or unrelated answers score zero', () => {
+  assert.equal(scoreFreeTextAnswer('', 'Badplats'), 0);
+  assert.equal(scoreFreeTextAnswer('cykel', 'Badplats'), 0);
+});